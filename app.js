@@ -15,41 +15,108 @@ const CONFIG = {
     cameraDistance: 25,
     flySpeed: 0.15,
     sprintMultiplier: 2.5,
-    soundEnabled: true
+    walkSpeed: 4,           // World units per second
+    walkGravity: 20,
+    jumpSpeed: 6.5,         // Clears about two layers
+    playerHeight: 1.7,
+    eyeHeight: 1.55,
+    playerRadius: 0.3,
+    reachDistance: 6,       // Max distance for editing blocks while walking
+    maxBrushSize: 5,
+    soundEnabled: true,
+    simTickMs: 250,         // Simulation step length at 1x speed
+    simMaxStepsPerFrame: 4, // Catch-up limit after a slow frame
+    fireLifetime: 3,        // Ticks a fire block burns before going out
+    autosaveDelay: 1500,    // ms of inactivity before autosaving
+    thumbnailWidth: 192,
+    thumbnailHeight: 120,
+    batchInitialCapacity: 64, // Instances allocated per material before growing
+    pickDistance: 200,      // Max ray length when picking blocks
+    persistence: true,      // Read and write IndexedDB saves
+    quality: null,          // 'low', 'medium' or 'high'; null picks one for the device
+    dayLength: 240,         // Seconds for a full day while the cycle runs
+    collabServer: null      // Relay address for collaboration; null uses this host on port 8787
 };
 
+// Pages such as benchmark.html can override settings before app.js loads
+Object.assign(CONFIG, window.HEXCRAFT_CONFIG || {});
+
 // Color palette with special materials
-const MATERIALS = [
+// Fields every material has; entries below only list what differs
+const MATERIAL_DEFAULTS = {
+    roughness: 0.7,
+    metalness: 0.1,
+    opacity: 1,
+    emissive: 0,        // Glow strength in the material's own color, 0-1
+    kind: 'solid',      // How it is drawn: 'solid', 'water', 'lava', 'fire' or 'ice'
+    behavior: null,
+    flammable: false
+};
+
+// Palette for new worlds. Each world saves its own copy in MATERIALS.
+const DEFAULT_MATERIALS = [
     { name: 'Stone', color: '#6b7280', behavior: null },
-    { name: 'Grass', color: '#22c55e', behavior: null },
-    { name: 'Water', color: '#0ea5e9', behavior: 'flows' },
-    { name: 'Lava', color: '#ef4444', behavior: 'converts_water' },
-    { name: 'Fire', color: '#f97316', behavior: 'destroys' },
+    { name: 'Grass', color: '#22c55e', behavior: null, flammable: true },
+    { name: 'Water', color: '#0ea5e9', behavior: 'flows', kind: 'water', roughness: 0.1, opacity: 0.65 },
+    { name: 'Lava', color: '#ef4444', behavior: 'converts_water', kind: 'lava', roughness: 0.5, emissive: 0.8 },
+    { name: 'Fire', color: '#f97316', behavior: 'destroys', kind: 'fire', opacity: 0.85, emissive: 1 },
     { name: 'Sand', color: '#fbbf24', behavior: 'falls' },
-    { name: 'Wood', color: '#92400e', behavior: null },
-    { name: 'Ice', color: '#67e8f9', behavior: null },
+    { name: 'Wood', color: '#92400e', behavior: null, flammable: true },
+    { name: 'Ice', color: '#67e8f9', behavior: null, kind: 'ice', roughness: 0.05, opacity: 0.75 },
     { name: 'Purple', color: '#a855f7', behavior: null },
     { name: 'Pink', color: '#ec4899', behavior: null },
     { name: 'White', color: '#f5f5f5', behavior: null },
     { name: 'Black', color: '#1f2937', behavior: null },
 ];
 
+const MATERIALS = DEFAULT_MATERIALS.map(mat => Object.assign({}, MATERIAL_DEFAULTS, mat));
+
 // ============================================================================
 // State
 // ============================================================================
 
 const STATE = {
-    mode: 'orbit',          // 'orbit' or 'fly'
+    mode: 'orbit',          // 'orbit', 'fly' or 'walk'
+    quality: 'high',        // Key of QUALITY_LEVELS
+    timeOfDay: 12,          // Hours, 0-24
+    dayCycle: false,        // Advance timeOfDay on its own
     currentMaterial: 0,
     brushSize: 1,
+    brushShape: 0,          // Index into BRUSH_SHAPES
+    sliceLayer: null,       // Highest layer shown and the only one edited; null shows all
+    sliceMode: 'ghost',     // 'ghost' draws the layers above as glass, 'hide' drops them
     blocks: new Map(),      // "x,y,z" -> materialIndex
     hoveredBlock: null,
-    hoveredFace: null,
+    hoveredFace: null,      // 'top', 'side' or 'bottom'
+    hoveredHit: null,       // Full pickBlock() result under the cursor
     isPlacing: false,
-    history: [],
-    historyIndex: -1,
-
-    // Fly mode
+    stroke: null,           // { y, label } while a mouse button is held
+    tool: 'build',          // 'build' or 'select'
+
+    // Selection
+    selectionShape: 'box',  // 'box' (q/r/y ranges) or 'hex' (radius around a center)
+    selectionAnchor: null,  // First corner while a region is being picked
+    selection: null,        // { shape, a, b } with a and b as { q, r, y }
+    clipboard: null,        // [{ q, r, y, materialIndex }] relative to the copied region's center
+    floating: null,         // { cells, label, lifted, materials } following the cursor until placed
+    mirrorAxis: 0,          // Index into HEX_DIRECTIONS of the axis kept by mirroring
+    history: [],            // [{ label, group, changes: [[key, before, after]] }]
+    historyIndex: -1,       // Last applied entry; -1 when nothing to undo
+    pendingChanges: new Map(), // "q,r,y" -> { before, after } since the last saveState()
+    applyingHistory: false, // Set while undo/redo writes blocks so they aren't re-recorded
+    applyingRemote: false,  // Set while another player's edits are written; not undoable here
+
+    // Simulation
+    simRunning: false,
+    simSpeed: 1,
+    simTick: 0,
+
+    // Persistence
+    worldId: null,          // Save slot the current world was loaded from
+    worldName: 'Untitled World',
+    autosaveReady: false,   // Held back until the restore prompt is answered
+
+    // Fly and walk modes
     moveForward: false,
     moveBackward: false,
     moveLeft: false,
@@ -60,7 +127,14 @@ const STATE = {
 
     // Camera
     yaw: 0,
-    pitch: 0
+    pitch: 0,
+    walker: null,           // { feet, vy, onGround } while walking
+
+    // Sharing
+    readOnly: false,        // Viewing a shared link until it is remixed
+
+    // Saved camera views of this world: { name, position, target }
+    bookmarks: []
 };
 
 // ============================================================================
@@ -68,9 +142,9 @@ const STATE = {
 // ============================================================================
 
 let scene, camera, renderer, controls;
+let ambientLight, sunLight, fillLight;
 let raycaster, mouse;
-let hexGeometry, groundMesh;
-let blockMeshes = new Map();
+let hexGeometry, groundMesh, gridHelper;
 let highlightMesh;
 let audio;
 
@@ -78,7 +152,7 @@ function init() {
     // Scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x1a1a2e);
-    scene.fog = new THREE.Fog(0x1a1a2e, 30, 80);
+    scene.fog = new THREE.Fog(0x1a1a2e, 30, 80);   // Colors follow the time of day
 
     // Camera
     camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -89,7 +163,8 @@ function init() {
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.shadowMap.enabled = true;
+    STATE.quality = getInitialQuality();
+    renderer.shadowMap.enabled = QUALITY_LEVELS[STATE.quality].shadows;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.getElementById('canvas-container').appendChild(renderer.domElement);
 
@@ -103,10 +178,10 @@ function init() {
     controls.target.set(0, 0, 0);
 
     // Lighting
-    const ambientLight = new THREE.AmbientLight(0x404060, 0.5);
+    ambientLight = new THREE.AmbientLight(0x404060, 0.5);
     scene.add(ambientLight);
 
-    const sunLight = new THREE.DirectionalLight(0xffffff, 1);
+    sunLight = new THREE.DirectionalLight(0xffffff, 1);
     sunLight.position.set(20, 40, 20);
     sunLight.castShadow = true;
     sunLight.shadow.mapSize.width = 2048;
@@ -119,10 +194,17 @@ function init() {
     sunLight.shadow.camera.bottom = -30;
     scene.add(sunLight);
 
-    const fillLight = new THREE.DirectionalLight(0x6366f1, 0.3);
+    fillLight = new THREE.DirectionalLight(0x6366f1, 0.3);
     fillLight.position.set(-10, 10, -10);
     scene.add(fillLight);
 
+    // Sky dome and stars, lit for the starting time of day
+    createSky();
+    applyTimeOfDay();
+
+    // Point lights shared by glowing blocks
+    createEffectLights();
+
     // Raycaster
     raycaster = new THREE.Raycaster();
     mouse = new THREE.Vector2();
@@ -135,12 +217,13 @@ function init() {
 
     // Create highlight mesh
     createHighlight();
+    createSelectionGhosts();
 
     // Initialize audio
     audio = new AudioSystem();
 
-    // Create starter blocks
-    createStarterBlocks();
+    // Restore the last session or create starter blocks
+    restoreOrStart();
 
     // Events
     setupEventListeners();
@@ -148,8 +231,8 @@ function init() {
     // UI
     setupUI();
 
-    // Start render loop
-    animate();
+    // Start render loop; WebXR sessions drive it while presenting
+    renderer.setAnimationLoop(animate);
 }
 
 // ============================================================================
@@ -202,7 +285,7 @@ function createGround() {
     scene.add(groundMesh);
 
     // Add grid helper
-    const gridHelper = new THREE.GridHelper(50, 50, 0x3f3f5f, 0x2a2a4a);
+    gridHelper = new THREE.GridHelper(50, 50, 0x3f3f5f, 0x2a2a4a);
     gridHelper.position.y = 0;
     scene.add(gridHelper);
 }
@@ -215,11 +298,29 @@ function createHighlight() {
         opacity: 0.3,
         side: THREE.DoubleSide
     });
-    highlightMesh = new THREE.Mesh(highlightGeo, highlightMat);
+    // One instance per brush cell; the largest filled hex brush needs the most
+    const maxCells = 3 * CONFIG.maxBrushSize * (CONFIG.maxBrushSize - 1) + 1;
+    highlightMesh = new THREE.InstancedMesh(highlightGeo, highlightMat, maxCells);
+    highlightMesh.count = 0;
+    highlightMesh.frustumCulled = false;
     highlightMesh.visible = false;
     scene.add(highlightMesh);
 }
 
+function setHighlight(q, r, y, cells = getBrushCells(q, r)) {
+    const matrix = new THREE.Matrix4();
+
+    cells.forEach((cell, i) => {
+        const worldPos = hexToWorld(cell.q, cell.r);
+        matrix.makeTranslation(worldPos.x, y * CONFIG.hexHeight, worldPos.z);
+        highlightMesh.setMatrixAt(i, matrix);
+    });
+
+    highlightMesh.count = cells.length;
+    highlightMesh.instanceMatrix.needsUpdate = true;
+    highlightMesh.visible = true;
+}
+
 function createStarterBlocks() {
     // Create a small starter platform
     const positions = [
@@ -231,7 +332,8 @@ function createStarterBlocks() {
         addBlock(x, y, z, 0); // Stone
     });
 
-    saveState();
+    // The starter platform is the baseline, not an undoable edit
+    resetHistory();
 }
 
 // ============================================================================
@@ -249,75 +351,141 @@ function worldToHex(x, z) {
     // Convert world position to hex coordinates
     const q = (Math.sqrt(3) / 3 * x - 1 / 3 * z) / CONFIG.hexRadius;
     const r = (2 / 3 * z) / CONFIG.hexRadius;
-    return { q: Math.round(q), r: Math.round(r) };
+    return hexRound(q, r);
+}
+
+function hexRound(q, r) {
+    // Round in cube coordinates so points near a corner land in the right cell
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+
+    if (dq > dr && dq > ds) {
+        rq = -rr - rs;
+    } else if (dr > ds) {
+        rr = -rq - rs;
+    }
+    return { q: rq, r: rr };
 }
 
 function getBlockKey(x, y, z) {
     return `${x},${y},${z}`;
 }
 
-function addBlock(q, r, y, materialIndex, animate = true) {
+function parseBlockKey(key) {
+    return key.split(',').map(Number);
+}
+
+// Axial offsets of the six side neighbors, counter-clockwise from +q
+const HEX_DIRECTIONS = [
+    [1, 0], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, -1]
+];
+
+function hexDistance(q1, r1, q2, r2) {
+    const dq = q1 - q2;
+    const dr = r1 - r2;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+function getNeighborKeys(q, r, y) {
+    // Six side neighbors on the same layer, then the cells above and below
+    const keys = HEX_DIRECTIONS.map(([dq, dr]) => getBlockKey(q + dq, r + dr, y));
+    keys.push(getBlockKey(q, r, y + 1));
+    if (y > 0) keys.push(getBlockKey(q, r, y - 1));
+    return keys;
+}
+
+// Views that mirror STATE.blocks (the 2D map) subscribe here instead of
+// polling. Listeners get (key, before, after) with null for an empty cell.
+const blockChangeListeners = new Set();
+
+function addBlockChangeListener(listener) {
+    blockChangeListeners.add(listener);
+    return () => blockChangeListeners.delete(listener);
+}
+
+function emitBlockChange(key, before, after) {
+    blockChangeListeners.forEach(listener => listener(key, before, after));
+}
+
+function addBlock(q, r, y, materialIndex, animate = true, sound = animate) {
     const key = getBlockKey(q, r, y);
     if (STATE.blocks.has(key)) return false;
 
     STATE.blocks.set(key, materialIndex);
+    recordChange(key, null, materialIndex);
 
-    // Create mesh
-    const material = MATERIALS[materialIndex];
-    const mat = new THREE.MeshStandardMaterial({
-        color: material.color,
-        roughness: 0.7,
-        metalness: 0.1
-    });
-
-    const mesh = new THREE.Mesh(hexGeometry, mat);
+    // Create instance
     const worldPos = hexToWorld(q, r);
-    mesh.position.set(worldPos.x, y * CONFIG.hexHeight, worldPos.z);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    mesh.userData = { q, r, y, materialIndex };
+    const position = new THREE.Vector3(worldPos.x, y * CONFIG.hexHeight, worldPos.z);
+    const instance = new BlockInstance(key, getBlockBatch(materialIndex), position);
 
     // Animation
     if (animate) {
-        mesh.scale.set(0.01, 0.01, 0.01);
-        animateScale(mesh, { x: 1, y: 1, z: 1 }, 200, 'bounceOut');
+        instance.scale.set(0.01, 0.01, 0.01);
+        instance.update();
+        animateScale(instance, { x: 1, y: 1, z: 1 }, 200, 'bounceOut');
+    }
+    if (sound) {
         audio.playPlace();
     }
 
-    scene.add(mesh);
-    blockMeshes.set(key, mesh);
+    blockInstances.set(key, instance);
+    emitBlockChange(key, null, materialIndex);
 
     return true;
 }
 
-function removeBlock(q, r, y, animate = true) {
+function removeBlock(q, r, y, animate = true, sound = animate) {
     const key = getBlockKey(q, r, y);
     if (!STATE.blocks.has(key)) return false;
 
+    const before = STATE.blocks.get(key);
+    recordChange(key, before, null);
     STATE.blocks.delete(key);
-    const mesh = blockMeshes.get(key);
+    const instance = blockInstances.get(key);
 
-    if (mesh) {
-        if (animate) {
+    if (instance) {
+        if (sound) {
             audio.playRemove();
-            animateScale(mesh, { x: 0.01, y: 0.01, z: 0.01 }, 150, 'easeIn', () => {
-                scene.remove(mesh);
-                mesh.geometry.dispose();
-                mesh.material.dispose();
+        }
+        cancelAnimations(instance);
+        if (animate) {
+            // Let the shrinking instance outlive its cell so the cell can be refilled meanwhile
+            instance.rename(`${key}#${++retiredInstanceCount}`);
+            animateScale(instance, { x: 0.01, y: 0.01, z: 0.01 }, 150, 'easeIn', () => {
+                instance.destroy();
             });
         } else {
-            scene.remove(mesh);
-            mesh.geometry.dispose();
-            mesh.material.dispose();
+            instance.destroy();
         }
-        blockMeshes.delete(key);
+        blockInstances.delete(key);
     }
+    emitBlockChange(key, before, null);
 
     return true;
 }
 
+// Put a cell into the given state (a material index, or null for empty)
+// without animation or sound
+function setBlockAt(key, materialIndex) {
+    const current = STATE.blocks.has(key) ? STATE.blocks.get(key) : null;
+    if (current === materialIndex) return false;
+
+    const [q, r, y] = parseBlockKey(key);
+    if (current !== null) removeBlock(q, r, y, false);
+    if (materialIndex !== null) addBlock(q, r, y, materialIndex, false);
+    return true;
+}
+
 function getTopBlockAt(q, r) {
-    for (let y = CONFIG.maxHeight; y >= 0; y--) {
+    // Layers above the slice count as empty
+    for (let y = getTopLayer(); y >= 0; y--) {
         if (STATE.blocks.has(getBlockKey(q, r, y))) {
             return y;
         }
@@ -326,528 +494,7072 @@ function getTopBlockAt(q, r) {
 }
 
 // ============================================================================
-// Animation System
+// Block Rendering
 // ============================================================================
 
-const animations = [];
+// Blocks are drawn as one InstancedMesh per palette entry, all sharing a
+// single material per entry. Instances are addressed by id (the block key)
+// and kept densely packed so `mesh.count` covers exactly the live ones.
 
-function animateScale(mesh, target, duration, easing, onComplete) {
-    const start = { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z };
-    const startTime = performance.now();
+const blockMaterials = [];          // materialIndex -> shared material
+const blockBatches = new Map();     // materialIndex -> BlockBatch
+const blockInstances = new Map();   // "q,r,y" -> BlockInstance
+let retiredInstanceCount = 0;
 
-    animations.push({
-        mesh,
-        start,
-        target,
-        duration,
-        easing,
-        startTime,
-        onComplete
-    });
+const _instanceMatrix = new THREE.Matrix4();
+const _instanceRotation = new THREE.Quaternion();
+
+function getBlockMaterial(materialIndex) {
+    if (!blockMaterials[materialIndex]) {
+        blockMaterials[materialIndex] = createBlockMaterial(MATERIALS[materialIndex]);
+    }
+    return blockMaterials[materialIndex];
 }
 
-function updateAnimations() {
-    const now = performance.now();
+// Which shader a palette entry needs; a change means a new material object
+function getMaterialLook(mat) {
+    return `${STATE.quality}:${mat.kind}`;
+}
 
-    for (let i = animations.length - 1; i >= 0; i--) {
-        const anim = animations[i];
-        const elapsed = now - anim.startTime;
-        let t = Math.min(elapsed / anim.duration, 1);
+function createBlockMaterial(mat) {
+    const quality = QUALITY_LEVELS[STATE.quality];
+    let material;
 
-        // Apply easing
-        if (anim.easing === 'bounceOut') {
-            t = bounceOut(t);
-        } else if (anim.easing === 'easeIn') {
-            t = t * t;
-        }
+    if (quality.shading === 'lambert') {
+        material = new THREE.MeshLambertMaterial();
+    } else if (quality.shading === 'physical' && mat.kind === 'ice') {
+        material = new THREE.MeshPhysicalMaterial({ clearcoat: 1, clearcoatRoughness: 0.05 });
+    } else {
+        material = new THREE.MeshStandardMaterial();
+    }
 
-        anim.mesh.scale.x = anim.start.x + (anim.target.x - anim.start.x) * t;
-        anim.mesh.scale.y = anim.start.y + (anim.target.y - anim.start.y) * t;
-        anim.mesh.scale.z = anim.start.z + (anim.target.z - anim.start.z) * t;
+    // Every block shader honors the slice; water also bobs
+    const waves = quality.waves && mat.kind === 'water';
+    material.onBeforeCompile = shader => {
+        if (waves) addWaterWaves(shader);
+        addSliceClipping(shader, false);
+    };
+    material.customProgramCacheKey = () => (waves ? 'hexcraft-block-waves' : 'hexcraft-block');
 
-        if (elapsed >= anim.duration) {
-            animations.splice(i, 1);
-            if (anim.onComplete) anim.onComplete();
-        }
+    material.userData.look = getMaterialLook(mat);
+    applyMaterialProperties(material, mat);
+    return material;
+}
+
+function applyMaterialProperties(material, mat) {
+    const transparent = mat.opacity < 1;
+    if (material.transparent !== transparent) material.needsUpdate = true;
+
+    material.color.set(mat.color);
+    if (material.isMeshStandardMaterial) {
+        material.roughness = mat.roughness;
+        material.metalness = mat.metalness;
     }
+    material.opacity = mat.opacity;
+    material.transparent = transparent;
+    // Water and ice keep depth writes so only their outer surface shows
+    material.depthWrite = !transparent || mat.kind === 'water' || mat.kind === 'ice';
+    material.emissive.set(mat.color);
+    material.emissiveIntensity = mat.emissive;
+    material.userData.emissive = mat.emissive;
+    material.userData.kind = mat.kind;
 }
 
-function bounceOut(t) {
-    const n1 = 7.5625;
-    const d1 = 2.75;
-    if (t < 1 / d1) {
-        return n1 * t * t;
-    } else if (t < 2 / d1) {
-        return n1 * (t -= 1.5 / d1) * t + 0.75;
-    } else if (t < 2.5 / d1) {
-        return n1 * (t -= 2.25 / d1) * t + 0.9375;
-    } else {
-        return n1 * (t -= 2.625 / d1) * t + 0.984375;
+// Called after MATERIALS[index] changes so blocks already placed follow
+function refreshBlockMaterial(materialIndex) {
+    const material = blockMaterials[materialIndex];
+    const mat = MATERIALS[materialIndex];
+    if (!material || !mat) return;
+
+    if (material.userData.look === getMaterialLook(mat)) {
+        applyMaterialProperties(material, mat);
+        return;
     }
+
+    blockMaterials[materialIndex] = createBlockMaterial(mat);
+    const batch = blockBatches.get(materialIndex);
+    if (batch) batch.setMaterial(blockMaterials[materialIndex]);
+    material.dispose();
 }
 
-// ============================================================================
-// Audio System
-// ============================================================================
+function castsShadow(material) {
+    // Light passes through water and fire
+    return material.userData.kind !== 'water' && material.userData.kind !== 'fire';
+}
 
-class AudioSystem {
-    constructor() {
-        this.enabled = CONFIG.soundEnabled;
-        this.ctx = null;
+function getBlockBatch(materialIndex) {
+    if (!blockBatches.has(materialIndex)) {
+        blockBatches.set(materialIndex, new BlockBatch(getBlockMaterial(materialIndex)));
     }
+    return blockBatches.get(materialIndex);
+}
 
-    init() {
-        if (this.ctx) return;
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+class BlockBatch {
+    constructor(material) {
+        this.material = material;
+        this.ids = [];              // slot -> instance id
+        this.slots = new Map();     // instance id -> slot
+        this.mesh = this.createMesh(CONFIG.batchInitialCapacity);
     }
 
-    playTone(freq, duration, type = 'sine', volume = 0.1) {
-        if (!this.enabled) return;
-        this.init();
+    createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(hexGeometry, this.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        mesh.castShadow = castsShadow(this.material);
+        mesh.receiveShadow = true;
+        mesh.customDepthMaterial = sliceDepthMaterial;
+        // Instances spread over the whole world; the geometry bounds don't
+        mesh.frustumCulled = false;
+
+        // The layers above the slice, drawn as glass from the same instances
+        const ghost = new THREE.InstancedMesh(hexGeometry, sliceGhostMaterial, capacity);
+        ghost.instanceMatrix = mesh.instanceMatrix;
+        ghost.count = 0;
+        ghost.frustumCulled = false;
+        ghost.visible = isSliceGhosted();
+        mesh.add(ghost);
+        mesh.userData.ghost = ghost;
+
+        scene.add(mesh);
+        return mesh;
+    }
 
-        const osc = this.ctx.createOscillator();
-        const gain = this.ctx.createGain();
+    setCount(count) {
+        this.mesh.count = count;
+        this.mesh.userData.ghost.count = count;
+    }
 
-        osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
+    setMaterial(material) {
+        this.material = material;
+        this.mesh.material = material;
+        this.mesh.castShadow = castsShadow(material);
+    }
 
-        gain.gain.setValueAtTime(volume, this.ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + duration);
+    grow() {
+        const old = this.mesh;
+        this.mesh = this.createMesh(old.instanceMatrix.count * 2);
+        this.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        this.setCount(old.count);
+        scene.remove(old);
+        old.dispose();
+    }
 
-        osc.connect(gain);
-        gain.connect(this.ctx.destination);
+    add(id, matrix) {
+        if (this.ids.length === this.mesh.instanceMatrix.count) this.grow();
 
-        osc.start();
-        osc.stop(this.ctx.currentTime + duration);
+        const slot = this.ids.length;
+        this.ids.push(id);
+        this.slots.set(id, slot);
+        this.setCount(this.ids.length);
+        this.set(id, matrix);
     }
 
-    playPlace() {
-        const freq = 400 + Math.random() * 200;
-        this.playTone(freq, 0.1, 'sine', 0.15);
-        setTimeout(() => this.playTone(freq * 1.5, 0.08, 'sine', 0.1), 30);
+    set(id, matrix) {
+        const slot = this.slots.get(id);
+        if (slot === undefined) return;
+        this.mesh.setMatrixAt(slot, matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
     }
 
-    playRemove() {
-        this.playTone(300, 0.15, 'sawtooth', 0.08);
+    rename(oldId, newId) {
+        const slot = this.slots.get(oldId);
+        if (slot === undefined) return;
+        this.slots.delete(oldId);
+        this.slots.set(newId, slot);
+        this.ids[slot] = newId;
     }
 
-    playSelect() {
-        this.playTone(800, 0.05, 'sine', 0.1);
-    }
+    remove(id) {
+        const slot = this.slots.get(id);
+        if (slot === undefined) return;
+
+        // Move the last instance into the freed slot
+        const lastSlot = this.ids.length - 1;
+        if (slot !== lastSlot) {
+            const lastId = this.ids[lastSlot];
+            this.mesh.getMatrixAt(lastSlot, _instanceMatrix);
+            this.mesh.setMatrixAt(slot, _instanceMatrix);
+            this.ids[slot] = lastId;
+            this.slots.set(lastId, slot);
+        }
 
-    playModeSwitch() {
-        this.playTone(600, 0.1, 'triangle', 0.12);
-        setTimeout(() => this.playTone(800, 0.1, 'triangle', 0.1), 80);
+        this.ids.pop();
+        this.slots.delete(id);
+        this.setCount(this.ids.length);
+        this.mesh.instanceMatrix.needsUpdate = true;
     }
 
-    toggle() {
-        this.enabled = !this.enabled;
-        if (this.enabled) this.playSelect();
-        return this.enabled;
+    clear() {
+        this.ids = [];
+        this.slots.clear();
+        this.setCount(0);
     }
 }
 
-// ============================================================================
-// Input Handling
-// ============================================================================
+class BlockInstance {
+    constructor(id, batch, position) {
+        this.id = id;
+        this.batch = batch;
+        this.position = position;
+        this.scale = new THREE.Vector3(1, 1, 1);
+        batch.add(id, this.getMatrix());
+    }
 
-function setupEventListeners() {
-    const canvas = renderer.domElement;
+    getMatrix() {
+        return _instanceMatrix.compose(this.position, _instanceRotation, this.scale);
+    }
 
-    // Mouse
-    canvas.addEventListener('mousemove', onMouseMove);
-    canvas.addEventListener('mousedown', onMouseDown);
-    canvas.addEventListener('mouseup', onMouseUp);
-    canvas.addEventListener('contextmenu', e => e.preventDefault());
+    update() {
+        this.batch.set(this.id, this.getMatrix());
+    }
 
-    // Touch
-    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
-    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
-    canvas.addEventListener('touchend', onTouchEnd);
+    rename(id) {
+        this.batch.rename(this.id, id);
+        this.id = id;
+    }
 
-    // Keyboard
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
+    destroy() {
+        this.batch.remove(this.id);
+    }
+}
 
-    // Resize
-    window.addEventListener('resize', onResize);
+// ============================================================================
+// Time of Day
+// ============================================================================
 
-    // Pointer lock for fly mode
-    canvas.addEventListener('click', () => {
-        if (STATE.mode === 'fly') {
-            canvas.requestPointerLock();
-        }
-    });
+// Lighting at key hours; everything in between is interpolated. 'stars'
+// doubles as the night factor that brightens glowing blocks.
+const DAY_KEYFRAMES = [
+    { hour: 0, skyTop: '#05060f', skyHorizon: '#141a33', sun: '#ffffff', sunIntensity: 0, ambient: '#303a66', ambientIntensity: 0.25, moon: 0.35, stars: 1 },
+    { hour: 5, skyTop: '#0b1026', skyHorizon: '#2b2f55', sun: '#ff9a5a', sunIntensity: 0, ambient: '#3a3f6e', ambientIntensity: 0.28, moon: 0.3, stars: 1 },
+    { hour: 6.5, skyTop: '#3a4a8c', skyHorizon: '#f29f6b', sun: '#ffb27a', sunIntensity: 0.6, ambient: '#6a5a80', ambientIntensity: 0.35, moon: 0.1, stars: 0.2 },
+    { hour: 9, skyTop: '#3f7fd6', skyHorizon: '#a9d4f5', sun: '#fff1d6', sunIntensity: 0.9, ambient: '#8aa0c8', ambientIntensity: 0.45, moon: 0, stars: 0 },
+    { hour: 12, skyTop: '#2f74d0', skyHorizon: '#bfe3ff', sun: '#ffffff', sunIntensity: 1, ambient: '#9fb4d8', ambientIntensity: 0.5, moon: 0, stars: 0 },
+    { hour: 16, skyTop: '#3f7fd6', skyHorizon: '#b5d8f2', sun: '#fff1d6', sunIntensity: 0.9, ambient: '#8aa0c8', ambientIntensity: 0.45, moon: 0, stars: 0 },
+    { hour: 18.5, skyTop: '#2c2f6b', skyHorizon: '#ff8a5c', sun: '#ff9a5a', sunIntensity: 0.5, ambient: '#6a4a70', ambientIntensity: 0.35, moon: 0.1, stars: 0.2 },
+    { hour: 20, skyTop: '#0f1433', skyHorizon: '#3a2f5c', sun: '#ff9a5a', sunIntensity: 0, ambient: '#3a3f6e', ambientIntensity: 0.3, moon: 0.3, stars: 0.9 },
+    { hour: 24, skyTop: '#05060f', skyHorizon: '#141a33', sun: '#ffffff', sunIntensity: 0, ambient: '#303a66', ambientIntensity: 0.25, moon: 0.35, stars: 1 }
+];
 
-    document.addEventListener('pointerlockchange', () => {
-        if (document.pointerLockElement !== canvas && STATE.mode === 'fly') {
-            setMode('orbit');
-        }
+const LIGHTING_PRESETS = {
+    dawn: { name: 'Dawn', hour: 6.5 },
+    noon: { name: 'Noon', hour: 12 },
+    dusk: { name: 'Dusk', hour: 18.5 },
+    night: { name: 'Night', hour: 0 }
+};
+const DEFAULT_LIGHTING = { time: 12, cycle: false };
+const SUNRISE_HOUR = 5.5;
+const SUNSET_HOUR = 19;
+const SKY_RADIUS = 500;
+const STAR_COUNT = 600;
+
+let skyMesh, starField;
+let dayCycleLastTime = performance.now();
+let currentDayFrame = DAY_KEYFRAMES[4];
+
+function createSky() {
+    const skyMat = new THREE.ShaderMaterial({
+        uniforms: {
+            topColor: { value: new THREE.Color() },
+            horizonColor: { value: new THREE.Color() }
+        },
+        vertexShader: `
+            varying vec3 vDirection;
+            void main() {
+                vDirection = normalize(position);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }`,
+        fragmentShader: `
+            uniform vec3 topColor;
+            uniform vec3 horizonColor;
+            varying vec3 vDirection;
+            void main() {
+                float t = pow(max(vDirection.y, 0.0), 0.6);
+                gl_FragColor = vec4(mix(horizonColor, topColor, t), 1.0);
+            }`,
+        side: THREE.BackSide,
+        depthWrite: false
     });
+    skyMesh = new THREE.Mesh(new THREE.SphereGeometry(SKY_RADIUS, 32, 16), skyMat);
+    skyMesh.renderOrder = -1;
+    skyMesh.frustumCulled = false;
+    scene.add(skyMesh);
+
+    // Stars on the upper half of a slightly smaller sphere, fixed per session
+    const random = mulberry32(hashSeed('stars'));
+    const positions = new Float32Array(STAR_COUNT * 3);
+    for (let i = 0; i < STAR_COUNT; i++) {
+        const theta = random() * Math.PI * 2;
+        const y = 0.05 + random() * 0.95;
+        const ring = Math.sqrt(1 - y * y);
+        positions.set([Math.cos(theta) * ring, y, Math.sin(theta) * ring].map(v => v * SKY_RADIUS * 0.9), i * 3);
+    }
+    const starGeo = new THREE.BufferGeometry();
+    starGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    starField = new THREE.Points(starGeo, new THREE.PointsMaterial({
+        color: 0xffffff,
+        size: 2,
+        sizeAttenuation: false,
+        transparent: true,
+        depthWrite: false,
+        fog: false
+    }));
+    starField.renderOrder = -1;
+    starField.frustumCulled = false;
+    scene.add(starField);
 }
 
-function onMouseMove(event) {
-    // Update mouse position
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-    // Fly mode look
-    if (STATE.mode === 'fly' && document.pointerLockElement) {
-        STATE.yaw -= event.movementX * 0.002;
-        STATE.pitch -= event.movementY * 0.002;
-        STATE.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, STATE.pitch));
-    }
+function getDayFrame(hour) {
+    const next = DAY_KEYFRAMES.findIndex(frame => frame.hour > hour);
+    if (next <= 0) return DAY_KEYFRAMES[0];
+
+    const a = DAY_KEYFRAMES[next - 1];
+    const b = DAY_KEYFRAMES[next];
+    const t = (hour - a.hour) / (b.hour - a.hour);
+    const mix = key => a[key] + (b[key] - a[key]) * t;
+    const mixColor = key => new THREE.Color(a[key]).lerp(new THREE.Color(b[key]), t);
+
+    return {
+        hour,
+        skyTop: mixColor('skyTop'),
+        skyHorizon: mixColor('skyHorizon'),
+        sun: mixColor('sun'),
+        sunIntensity: mix('sunIntensity'),
+        ambient: mixColor('ambient'),
+        ambientIntensity: mix('ambientIntensity'),
+        moon: mix('moon'),
+        stars: mix('stars')
+    };
+}
 
-    // Update raycast
-    updateRaycast();
+function getNightFactor() {
+    return currentDayFrame.stars;
 }
 
-function onMouseDown(event) {
-    if (STATE.mode === 'fly' && !document.pointerLockElement) return;
+function applyTimeOfDay() {
+    const frame = getDayFrame(STATE.timeOfDay);
+    currentDayFrame = frame;
+
+    // The sun rises in +x at 5:30 and sets in -x at 19:00
+    const angle = (STATE.timeOfDay - SUNRISE_HOUR) / (SUNSET_HOUR - SUNRISE_HOUR) * Math.PI;
+    sunLight.position.set(Math.cos(angle) * 40, Math.sin(angle) * 40, 15);
+    sunLight.color.copy(frame.sun);
+    sunLight.intensity = sunLight.position.y > 0 ? frame.sunIntensity : 0;
+
+    // The fill light stands in for the moon, opposite the sun
+    fillLight.position.set(-Math.cos(angle) * 30, Math.max(10, -Math.sin(angle) * 30), -10);
+    fillLight.intensity = 0.2 + frame.moon;
+
+    ambientLight.color.copy(frame.ambient);
+    ambientLight.intensity = frame.ambientIntensity;
+
+    scene.fog.color.copy(frame.skyHorizon);
+    scene.background.copy(frame.skyHorizon);
+    skyMesh.material.uniforms.topColor.value.copy(frame.skyTop);
+    skyMesh.material.uniforms.horizonColor.value.copy(frame.skyHorizon);
+    starField.material.opacity = frame.stars;
+    starField.visible = frame.stars > 0.01;
+}
 
-    audio.init();
+function updateDayCycle() {
+    const now = performance.now();
+    const delta = (now - dayCycleLastTime) / 1000;
+    dayCycleLastTime = now;
+
+    // Keep the dome centered on the viewer so it never gets closer; in VR
+    // the camera's position is relative to the rig
+    camera.getWorldPosition(skyMesh.position);
+    starField.position.copy(skyMesh.position);
+
+    if (!STATE.dayCycle) return;
+    STATE.timeOfDay = (STATE.timeOfDay + delta / CONFIG.dayLength * 24) % 24;
+    applyTimeOfDay();
+    updateLightingUI();
+}
 
-    if (event.button === 0) { // Left click - place
-        STATE.isPlacing = true;
-        placeBlock();
-    } else if (event.button === 2) { // Right click - remove
-        removeBlockAtCursor();
-    }
+function setTimeOfDay(hour) {
+    STATE.timeOfDay = ((Number(hour) % 24) + 24) % 24;
+    applyTimeOfDay();
+    updateLightingUI();
+    scheduleAutosave();
 }
 
-function onMouseUp(event) {
-    if (event.button === 0) {
-        STATE.isPlacing = false;
-    }
+function applyLightingPreset(id) {
+    const preset = LIGHTING_PRESETS[id];
+    if (!preset) return;
+    STATE.dayCycle = false;
+    setTimeOfDay(preset.hour);
 }
 
-let touchStartTime = 0;
-let touchStartPos = { x: 0, y: 0 };
-const TAP_THRESHOLD = 300; // ms
-const MOVE_THRESHOLD = 20; // pixels
+function toggleDayCycle() {
+    STATE.dayCycle = !STATE.dayCycle;
+    updateLightingUI();
+    scheduleAutosave();
+}
 
-function onTouchStart(event) {
-    audio.init();
+function getLightingSettings() {
+    return { time: Math.round(STATE.timeOfDay * 100) / 100, cycle: STATE.dayCycle };
+}
 
-    if (event.touches.length === 1) {
-        const touch = event.touches[0];
-        touchStartTime = Date.now();
-        touchStartPos = { x: touch.clientX, y: touch.clientY };
+function applyLightingSettings(lighting) {
+    const settings = lighting || DEFAULT_LIGHTING;
+    STATE.timeOfDay = settings.time;
+    STATE.dayCycle = settings.cycle;
+    applyTimeOfDay();
+    updateLightingUI();
+}
 
-        mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-        mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-        updateRaycast();
-    }
+function formatTimeOfDay(hour) {
+    const minutes = Math.floor(hour * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
 }
 
-function onTouchMove(event) {
-    if (event.touches.length === 1) {
-        const touch = event.touches[0];
-        mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-        mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-        updateRaycast();
-    }
+function toggleLightingPanel() {
+    document.getElementById('lighting-panel')?.classList.toggle('active');
+    updateLightingUI();
 }
 
-function onTouchEnd(event) {
-    if (event.changedTouches.length === 1) {
-        const touch = event.changedTouches[0];
-        const elapsed = Date.now() - touchStartTime;
-        const dx = Math.abs(touch.clientX - touchStartPos.x);
-        const dy = Math.abs(touch.clientY - touchStartPos.y);
-
-        // Only place block on quick tap (not drag/orbit gesture)
-        if (elapsed < TAP_THRESHOLD && dx < MOVE_THRESHOLD && dy < MOVE_THRESHOLD) {
-            // Update mouse position from final touch position
-            mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-            mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-            updateRaycast();
+function updateLightingUI() {
+    const slider = document.getElementById('time-slider');
+    if (slider && document.activeElement !== slider) slider.value = STATE.timeOfDay;
 
-            // Small delay to ensure raycast is updated
-            setTimeout(() => {
-                placeBlock();
-            }, 10);
-        }
+    const label = document.getElementById('time-value');
+    if (label) label.textContent = formatTimeOfDay(STATE.timeOfDay);
+
+    const cycleBtn = document.getElementById('day-cycle-btn');
+    if (cycleBtn) {
+        cycleBtn.textContent = STATE.dayCycle ? 'Pause' : 'Play';
+        cycleBtn.classList.toggle('active', STATE.dayCycle);
     }
 }
 
-function onKeyDown(event) {
-    switch (event.code) {
-        case 'KeyW': STATE.moveForward = true; break;
-        case 'KeyS': STATE.moveBackward = true; break;
-        case 'KeyA': STATE.moveLeft = true; break;
-        case 'KeyD': STATE.moveRight = true; break;
-        case 'Space': STATE.moveUp = true; event.preventDefault(); break;
-        case 'ShiftLeft': STATE.moveDown = true; break;
-        case 'ControlLeft': STATE.sprint = true; break;
-
-        case 'KeyF':
-            toggleMode();
-            break;
-
-        case 'KeyM':
-            const enabled = audio.toggle();
-            updateSoundButton(enabled);
-            break;
+// ============================================================================
+// Material Effects
+// ============================================================================
 
-        case 'KeyQ':
-            STATE.brushSize = Math.max(1, STATE.brushSize - 1);
-            updateBrushDisplay();
-            audio.playSelect();
-            break;
+// Shading presets. 'lights' is the size of the point light pool that lava
+// and fire blocks share; the closest ones to the camera get a light.
+const QUALITY_LEVELS = {
+    low: { name: 'Low', shading: 'lambert', shadows: false, lights: 0, waves: false },
+    medium: { name: 'Medium', shading: 'standard', shadows: true, lights: 4, waves: false },
+    high: { name: 'High', shading: 'physical', shadows: true, lights: 8, waves: true }
+};
+const QUALITY_STORAGE_KEY = 'hexcraft-quality';
+const EFFECT_LIGHT_INTERVAL = 250;  // ms between reassigning the light pool
+const EFFECT_LIGHT_SPACING = 3;     // World units kept between pooled lights
+const WAVE_AMPLITUDE = 0.04;
+
+const waterUniforms = { waveTime: { value: 0 } };
+const effectLights = [];
+let effectLightsUpdatedAt = -Infinity;
+
+function getInitialQuality() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(QUALITY_STORAGE_KEY);
+    } catch (err) {
+        // Storage can be blocked; fall through to the device default
+    }
 
-        case 'KeyE':
-            STATE.brushSize = Math.min(5, STATE.brushSize + 1);
-            updateBrushDisplay();
-            audio.playSelect();
-            break;
+    const requested = CONFIG.quality || stored;
+    if (QUALITY_LEVELS[requested]) return requested;
 
-        case 'KeyZ':
-            if (event.ctrlKey || event.metaKey) {
-                undo();
-                event.preventDefault();
-            }
-            break;
+    // Phones and tablets get the cheaper preset until the user picks one
+    const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    return coarse ? 'medium' : 'high';
+}
 
-        case 'KeyY':
-            if (event.ctrlKey || event.metaKey) {
-                redo();
-                event.preventDefault();
-            }
-            break;
+function addWaterWaves(shader) {
+    // Bob the top face of each water block; world position comes from the
+    // instance matrix so neighbouring blocks share one wave
+    const top = (CONFIG.hexHeight * 1.5 - 0.01).toFixed(3);
+    shader.uniforms.waveTime = waterUniforms.waveTime;
+    shader.vertexShader = 'uniform float waveTime;\n' + shader.vertexShader.replace(
+        '#include <begin_vertex>',
+        `#include <begin_vertex>
+        #ifdef USE_INSTANCING
+        if (position.y > ${top}) {
+            vec4 wavePos = instanceMatrix * vec4(position, 1.0);
+            float wave = sin(wavePos.x * 1.3 + waveTime * 1.7) * cos(wavePos.z * 1.1 + waveTime * 1.3);
+            transformed.y -= ${WAVE_AMPLITUDE.toFixed(3)} * (1.0 + wave);
+        }
+        #endif`
+    );
+}
 
-        // Number keys for material selection
-        case 'Digit1': case 'Digit2': case 'Digit3': case 'Digit4':
-        case 'Digit5': case 'Digit6': case 'Digit7': case 'Digit8':
-        case 'Digit9': case 'Digit0':
-            const num = event.code === 'Digit0' ? 9 : parseInt(event.code.slice(-1)) - 1;
-            if (num < MATERIALS.length) {
-                selectMaterial(num);
-            }
-            break;
+function createEffectLights() {
+    // The pool size is fixed per quality level; unused lights sit at zero
+    // intensity so the shaders don't recompile as lava comes and goes
+    effectLights.forEach(light => scene.remove(light));
+    effectLights.length = 0;
+
+    for (let i = 0; i < QUALITY_LEVELS[STATE.quality].lights; i++) {
+        const light = new THREE.PointLight(0xffffff, 0, 8, 2);
+        light.userData = { base: 0, phase: i * 1.7, kind: null };
+        scene.add(light);
+        effectLights.push(light);
     }
+    effectLightsUpdatedAt = -Infinity;
 }
 
-function onKeyUp(event) {
-    switch (event.code) {
-        case 'KeyW': STATE.moveForward = false; break;
-        case 'KeyS': STATE.moveBackward = false; break;
-        case 'KeyA': STATE.moveLeft = false; break;
-        case 'KeyD': STATE.moveRight = false; break;
-        case 'Space': STATE.moveUp = false; break;
-        case 'ShiftLeft': STATE.moveDown = false; break;
-        case 'ControlLeft': STATE.sprint = false; break;
+function assignEffectLights() {
+    const candidates = [];
+    for (const [key, materialIndex] of STATE.blocks) {
+        const mat = MATERIALS[materialIndex];
+        if (mat.kind !== 'lava' && mat.kind !== 'fire') continue;
+
+        const [q, r, y] = parseBlockKey(key);
+        const pos = hexToWorld(q, r);
+        const position = new THREE.Vector3(pos.x, (y + 1) * CONFIG.hexHeight, pos.z);
+        candidates.push({ position, mat, distance: position.distanceToSquared(camera.position) });
     }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    // Nearest first, skipping blocks that an already lit neighbour covers
+    const chosen = [];
+    for (const candidate of candidates) {
+        if (chosen.length === effectLights.length) break;
+        const covered = chosen.some(other =>
+            other.position.distanceTo(candidate.position) < EFFECT_LIGHT_SPACING);
+        if (!covered) chosen.push(candidate);
+    }
+
+    effectLights.forEach((light, i) => {
+        const source = chosen[i];
+        if (!source) {
+            light.userData.base = 0;
+            light.intensity = 0;
+            return;
+        }
+        light.position.copy(source.position);
+        light.position.y += CONFIG.hexHeight;
+        light.color.set(source.mat.color);
+        light.userData.base = 1.5 * Math.max(0.3, source.mat.emissive);
+        light.userData.kind = source.mat.kind;
+    });
 }
 
-function onResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function flicker(kind, time, phase) {
+    // Lava pulses slowly; fire jitters from a few mixed frequencies
+    if (kind === 'lava') return 0.85 + 0.15 * Math.sin(time * 1.5 + phase);
+    return 0.75 + 0.15 * Math.sin(time * 9 + phase) + 0.1 * Math.sin(time * 23 + phase * 2.3);
 }
 
-// ============================================================================
-// Game Logic
-// ============================================================================
+function updateMaterialEffects() {
+    const now = performance.now();
+    const time = now / 1000;
+    waterUniforms.waveTime.value = time;
+
+    // Glowing blocks read brighter once the sun is down
+    const glow = 1 + getNightFactor() * 0.6;
+
+    blockMaterials.forEach((material, index) => {
+        if (!material) return;
+        const kind = material.userData.kind;
+        const pulse = kind === 'lava' || kind === 'fire' ? flicker(kind, time, index) : 1;
+        material.emissiveIntensity = material.userData.emissive * pulse * glow;
+    });
+
+    if (effectLights.length === 0) return;
+    if (now - effectLightsUpdatedAt > EFFECT_LIGHT_INTERVAL) {
+        effectLightsUpdatedAt = now;
+        assignEffectLights();
+    }
+    effectLights.forEach(light => {
+        light.intensity = light.userData.base * glow * flicker(light.userData.kind, time, light.userData.phase);
+    });
+}
+
+function setQuality(level) {
+    if (!QUALITY_LEVELS[level]) return;
+    STATE.quality = level;
+    try {
+        localStorage.setItem(QUALITY_STORAGE_KEY, level);
+    } catch (err) {
+        // Not persisted; the setting still applies to this session
+    }
+
+    const quality = QUALITY_LEVELS[level];
+    renderer.shadowMap.enabled = quality.shadows;
+    // Shadow and light counts are compiled into every shader
+    scene.traverse(object => {
+        if (object.material) object.material.needsUpdate = true;
+    });
+
+    MATERIALS.forEach((mat, index) => refreshBlockMaterial(index));
+    createEffectLights();
+    updateQualityButton();
+    showToast(`Quality: ${quality.name}`, 'info', 1500);
+}
+
+function cycleQuality() {
+    const levels = Object.keys(QUALITY_LEVELS);
+    setQuality(levels[(levels.indexOf(STATE.quality) + 1) % levels.length]);
+}
+
+// ============================================================================
+// Picking
+// ============================================================================
+
+// Face ids reported by pickBlock(): 0-5 are the sides in HEX_DIRECTIONS
+// order, followed by the top and bottom caps
+const FACE_TOP = 6;
+const FACE_BOTTOM = 7;
+const MAX_PICK_STEPS = 4096;
+
+// Outward normals of the six side faces in the xz plane
+const HEX_SIDE_NORMALS = HEX_DIRECTIONS.map(([dq, dr]) => {
+    const { x, z } = hexToWorld(dq, dr);
+    const length = Math.hypot(x, z);
+    return { x: x / length, z: z / length };
+});
+
+// hexGeometry sits half a layer above its instance origin
+function getLayerBottom(y) {
+    return (y + 0.5) * CONFIG.hexHeight;
+}
+
+function getLayerAt(worldY) {
+    return Math.floor(worldY / CONFIG.hexHeight - 0.5);
+}
+
+function getFaceName(face) {
+    if (face === FACE_TOP) return 'top';
+    if (face === FACE_BOTTOM) return 'bottom';
+    return 'side';
+}
+
+/**
+ * Walk the ray cell by cell through the hex-prism grid and report the
+ * first occupied cell, without touching any scene objects. Each step finds
+ * which of the current cell's eight faces the ray leaves through and moves
+ * to the cell behind it, so the result is exact rather than sampled.
+ *
+ * Returns null on a miss, otherwise `{ block, place, face, faceName,
+ * point, distance }`: `block` is the cell hit (null when the ray reached
+ * the ground first), `place` the empty cell in front of the hit face where
+ * a new block would go (y = -1 on the ground), and `face` the hit face id.
+ */
+function pickBlock(ray, maxDistance = CONFIG.pickDistance) {
+    const origin = ray.origin;
+    const dir = ray.direction;
+    const apothem = CONFIG.hexRadius * Math.sqrt(3) / 2;
+    const topLayer = getTopLayer();
+    const topY = getLayerBottom(topLayer + 1);
+    let t = 0;
+
+    // Clip the ray to the slab between the ground and the highest layer
+    // shown; sliced-away layers can't be hit
+    if (origin.y > topY) {
+        if (dir.y >= 0) return null;
+        t = (origin.y - topY) / -dir.y;
+    } else if (origin.y < 0) {
+        if (dir.y <= 0) return null;
+        t = -origin.y / dir.y;
+    }
+    if (t > maxDistance) return null;
+
+    const start = ray.at(t, new THREE.Vector3());
+    let { q, r } = worldToHex(start.x, start.z);
+    // Layer -1 is the gap between the ground and the first layer's base
+    let y = Math.max(-1, Math.min(topLayer, getLayerAt(start.y)));
+
+    // A slice through a block puts the start inside it; hit its cut top
+    if (y >= 0 && STATE.blocks.has(getBlockKey(q, r, y))) {
+        return {
+            block: { q, r, y },
+            place: { q, r, y: y + 1 },
+            face: FACE_TOP,
+            faceName: 'top',
+            point: start,
+            distance: t
+        };
+    }
+
+    for (let step = 0; step < MAX_PICK_STEPS; step++) {
+        // Find the nearest face the ray leaves the current cell through
+        let exitT = Infinity;
+        let exitFace = -1;
+
+        const center = hexToWorld(q, r);
+        const ox = origin.x - center.x;
+        const oz = origin.z - center.z;
+        for (let i = 0; i < HEX_SIDE_NORMALS.length; i++) {
+            const n = HEX_SIDE_NORMALS[i];
+            const speed = dir.x * n.x + dir.z * n.z;
+            if (speed <= 0) continue;
+            const faceT = (apothem - (ox * n.x + oz * n.z)) / speed;
+            if (faceT < exitT) {
+                exitT = faceT;
+                exitFace = i;
+            }
+        }
+
+        if (dir.y > 0) {
+            const faceT = (getLayerBottom(y + 1) - origin.y) / dir.y;
+            if (faceT < exitT) {
+                exitT = faceT;
+                exitFace = FACE_TOP;
+            }
+        } else if (dir.y < 0) {
+            const bottom = y < 0 ? 0 : getLayerBottom(y);
+            const faceT = (bottom - origin.y) / dir.y;
+            if (faceT < exitT) {
+                exitT = faceT;
+                exitFace = FACE_BOTTOM;
+            }
+        }
+
+        if (exitFace === -1 || exitT > maxDistance) return null;
+
+        const previous = { q, r, y };
+        let enteredFace;
+
+        if (exitFace === FACE_TOP) {
+            y++;
+            enteredFace = FACE_BOTTOM;
+            if (y > topLayer) return null;
+        } else if (exitFace === FACE_BOTTOM) {
+            // The active layer of a slice works as a floor to build on
+            if (y < 0 || y === STATE.sliceLayer) {
+                return {
+                    block: null,
+                    place: { q, r, y: y < 0 ? -1 : y },
+                    face: FACE_TOP,
+                    faceName: 'top',
+                    point: ray.at(exitT, new THREE.Vector3()),
+                    distance: exitT
+                };
+            }
+            y--;
+            enteredFace = FACE_TOP;
+        } else {
+            q += HEX_DIRECTIONS[exitFace][0];
+            r += HEX_DIRECTIONS[exitFace][1];
+            enteredFace = (exitFace + 3) % 6;
+        }
+
+        if (y >= 0 && STATE.blocks.has(getBlockKey(q, r, y))) {
+            return {
+                block: { q, r, y },
+                place: previous,
+                face: enteredFace,
+                faceName: getFaceName(enteredFace),
+                point: ray.at(exitT, new THREE.Vector3()),
+                distance: exitT
+            };
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// Layer Slicing
+// ============================================================================
+
+// Slicing shows layers up to STATE.sliceLayer and limits editing to that
+// layer. Block shaders collapse instances above the cut in the vertex
+// shader, so changing the slice is a uniform update rather than a rebuild.
+const SLICE_MODES = ['ghost', 'hide'];
+const SLICE_OFF_HEIGHT = 1e6;
+const sliceUniforms = { sliceHeight: { value: SLICE_OFF_HEIGHT } };
+
+function addSliceClipping(shader, ghost) {
+    // Instance origins sit at y * hexHeight; every vertex of a culled
+    // instance goes outside the clip volume so its triangles vanish
+    shader.uniforms.sliceHeight = sliceUniforms.sliceHeight;
+    shader.vertexShader = 'uniform float sliceHeight;\n' + shader.vertexShader.replace(
+        '#include <project_vertex>',
+        `#include <project_vertex>
+        #ifdef USE_INSTANCING
+        if (instanceMatrix[3].y ${ghost ? '<' : '>'} sliceHeight) gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+        #endif`
+    );
+}
+
+function createSliceMaterial(material, ghost, cacheKey) {
+    material.onBeforeCompile = shader => addSliceClipping(shader, ghost);
+    material.customProgramCacheKey = () => cacheKey;
+    return material;
+}
+
+// Shadows from the sun skip hidden layers too
+const sliceDepthMaterial = createSliceMaterial(
+    new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), false, 'hexcraft-slice-depth');
+const sliceGhostMaterial = createSliceMaterial(
+    new THREE.MeshLambertMaterial({ color: 0xffffff, transparent: true, opacity: 0.12, depthWrite: false }),
+    true, 'hexcraft-slice-ghost');
+
+function getTopLayer() {
+    return STATE.sliceLayer === null ? CONFIG.maxHeight - 1 : STATE.sliceLayer;
+}
+
+function isSliceGhosted() {
+    return STATE.sliceLayer !== null && STATE.sliceMode === 'ghost';
+}
+
+function canEditLayer(y) {
+    return STATE.sliceLayer === null || y === STATE.sliceLayer;
+}
+
+function setSlice(layer, mode = STATE.sliceMode) {
+    STATE.sliceLayer = layer === null ? null : Math.max(0, Math.min(CONFIG.maxHeight - 1, layer));
+    STATE.sliceMode = mode;
+
+    // Between the cut layer's origin and the next one's
+    sliceUniforms.sliceHeight.value = STATE.sliceLayer === null
+        ? SLICE_OFF_HEIGHT
+        : (STATE.sliceLayer + 0.5) * CONFIG.hexHeight;
+    const ghosted = isSliceGhosted();
+    blockBatches.forEach(batch => { batch.mesh.userData.ghost.visible = ghosted; });
+
+    updateSliceUI();
+    updateRaycast();
+    scheduleMapDraw();
+}
+
+function getHighestBlockLayer() {
+    let top = 0;
+    STATE.blocks.forEach((material, key) => {
+        top = Math.max(top, parseBlockKey(key)[2]);
+    });
+    return top;
+}
+
+function stepSlice(delta) {
+    // The first step starts from the top of the build
+    const layer = STATE.sliceLayer === null ? getHighestBlockLayer() : STATE.sliceLayer + delta;
+    setSlice(layer);
+}
+
+function cycleSliceMode() {
+    // Off -> ghost -> hide -> off
+    if (STATE.sliceLayer === null) {
+        setSlice(getHighestBlockLayer(), SLICE_MODES[0]);
+        return;
+    }
+    const next = SLICE_MODES.indexOf(STATE.sliceMode) + 1;
+    if (next < SLICE_MODES.length) {
+        setSlice(STATE.sliceLayer, SLICE_MODES[next]);
+    } else {
+        setSlice(null, SLICE_MODES[0]);
+    }
+}
+
+function updateSliceUI() {
+    // The toolbar and the phone's More menu have the same controls
+    ['slice-layer', 'mobile-slice-layer'].forEach(id => {
+        const label = document.getElementById(id);
+        if (label) label.textContent = STATE.sliceLayer === null ? 'All' : STATE.sliceLayer;
+    });
+
+    ['slice-mode-btn', 'mobile-slice-mode'].forEach(id => {
+        const modeBtn = document.getElementById(id);
+        if (!modeBtn) return;
+        modeBtn.textContent = STATE.sliceLayer === null ? 'Off'
+            : STATE.sliceMode === 'ghost' ? 'Ghost' : 'Hide';
+        modeBtn.classList.toggle('active', STATE.sliceLayer !== null);
+    });
+}
+
+// ============================================================================
+// Brush
+// ============================================================================
+
+const BRUSH_SHAPES = [
+    { id: 'hex', name: 'Hex' },
+    { id: 'ring', name: 'Ring' },
+    { id: 'line', name: 'Line Q', axis: 0 },
+    { id: 'line', name: 'Line R', axis: 1 },
+    { id: 'line', name: 'Line S', axis: 2 }
+];
+
+function getBrushCells(q, r) {
+    const shape = BRUSH_SHAPES[STATE.brushShape];
+    const reach = STATE.brushSize - 1;
+    const cells = [];
+
+    if (shape.id === 'line') {
+        const [dq, dr] = HEX_DIRECTIONS[shape.axis];
+        for (let i = -reach; i <= reach; i++) {
+            cells.push({ q: q + dq * i, r: r + dr * i });
+        }
+        return cells;
+    }
+
+    for (let dq = -reach; dq <= reach; dq++) {
+        for (let dr = Math.max(-reach, -dq - reach); dr <= Math.min(reach, -dq + reach); dr++) {
+            const distance = hexDistance(0, 0, dq, dr);
+            if (shape.id === 'hex' || distance === reach) {
+                cells.push({ q: q + dq, r: r + dr });
+            }
+        }
+    }
+    return cells;
+}
+
+function setBrushSize(size) {
+    STATE.brushSize = Math.max(1, Math.min(CONFIG.maxBrushSize, size));
+    updateBrushDisplay();
+    refreshHighlight();
+    audio.playSelect();
+}
+
+function cycleBrushShape() {
+    STATE.brushShape = (STATE.brushShape + 1) % BRUSH_SHAPES.length;
+    updateBrushDisplay();
+    refreshHighlight();
+    audio.playSelect();
+}
+
+function refreshHighlight() {
+    updateToolPreview();
+}
+
+// A stroke groups every block changed between mouse down and up into one
+// undo step. Edits made outside a stroke (taps, toolbar buttons) commit
+// immediately.
+function beginStroke() {
+    // A stroke still open lost its end somewhere; keep its edits
+    endStroke();
+    STATE.stroke = { y: null, label: 'Edit' };
+}
+
+function endStroke() {
+    if (!STATE.stroke) return;
+    const label = STATE.stroke.label;
+    STATE.stroke = null;
+    saveState(label);
+}
+
+function commitEdit(label) {
+    if (STATE.stroke) {
+        STATE.stroke.label = label;
+    } else {
+        saveState(label);
+    }
+}
+
+// ============================================================================
+// Animation System
+// ============================================================================
+
+const animations = [];
+
+// `object` is anything with a `scale` vector; objects with an update()
+// method (block instances) are told when their scale changes
+function animateScale(object, target, duration, easing, onComplete) {
+    const start = { x: object.scale.x, y: object.scale.y, z: object.scale.z };
+    const startTime = performance.now();
+
+    animations.push({
+        object,
+        start,
+        target,
+        duration,
+        easing,
+        startTime,
+        onComplete
+    });
+}
+
+function updateAnimations() {
+    const now = performance.now();
+
+    for (let i = animations.length - 1; i >= 0; i--) {
+        const anim = animations[i];
+        const elapsed = now - anim.startTime;
+        let t = Math.min(elapsed / anim.duration, 1);
+
+        // Apply easing
+        if (anim.easing === 'bounceOut') {
+            t = bounceOut(t);
+        } else if (anim.easing === 'easeIn') {
+            t = t * t;
+        }
+
+        anim.object.scale.x = anim.start.x + (anim.target.x - anim.start.x) * t;
+        anim.object.scale.y = anim.start.y + (anim.target.y - anim.start.y) * t;
+        anim.object.scale.z = anim.start.z + (anim.target.z - anim.start.z) * t;
+        if (anim.object.update) anim.object.update();
+
+        if (elapsed >= anim.duration) {
+            animations.splice(i, 1);
+            if (anim.onComplete) anim.onComplete();
+        }
+    }
+}
+
+function cancelAnimations(object) {
+    for (let i = animations.length - 1; i >= 0; i--) {
+        if (animations[i].object === object) animations.splice(i, 1);
+    }
+}
+
+function bounceOut(t) {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) {
+        return n1 * t * t;
+    } else if (t < 2 / d1) {
+        return n1 * (t -= 1.5 / d1) * t + 0.75;
+    } else if (t < 2.5 / d1) {
+        return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    } else {
+        return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    }
+}
+
+// ============================================================================
+// Audio System
+// ============================================================================
+
+class AudioSystem {
+    constructor() {
+        this.enabled = CONFIG.soundEnabled;
+        this.ctx = null;
+    }
+
+    init() {
+        if (this.ctx) return;
+        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    playTone(freq, duration, type = 'sine', volume = 0.1) {
+        if (!this.enabled) return;
+        this.init();
+
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
+
+        gain.gain.setValueAtTime(volume, this.ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + duration);
+
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+
+        osc.start();
+        osc.stop(this.ctx.currentTime + duration);
+    }
+
+    playPlace() {
+        const freq = 400 + Math.random() * 200;
+        this.playTone(freq, 0.1, 'sine', 0.15);
+        setTimeout(() => this.playTone(freq * 1.5, 0.08, 'sine', 0.1), 30);
+    }
+
+    playRemove() {
+        this.playTone(300, 0.15, 'sawtooth', 0.08);
+    }
+
+    playSelect() {
+        this.playTone(800, 0.05, 'sine', 0.1);
+    }
+
+    playModeSwitch() {
+        this.playTone(600, 0.1, 'triangle', 0.12);
+        setTimeout(() => this.playTone(800, 0.1, 'triangle', 0.1), 80);
+    }
+
+    toggle() {
+        this.enabled = !this.enabled;
+        if (this.enabled) this.playSelect();
+        return this.enabled;
+    }
+}
+
+// ============================================================================
+// Input Handling
+// ============================================================================
+
+function setupEventListeners() {
+    const canvas = renderer.domElement;
+
+    // Mouse
+    canvas.addEventListener('mousemove', onMouseMove);
+    canvas.addEventListener('mousedown', onMouseDown);
+    // Strokes end wherever the button is released, even off the canvas
+    window.addEventListener('mouseup', onMouseUp);
+    canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+    // Touch
+    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
+    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    canvas.addEventListener('touchend', onTouchEnd);
+    canvas.addEventListener('touchcancel', onTouchCancel);
+    setupTouchControls();
+
+    // Keyboard, through the remappable bindings, and gamepads
+    loadBindings();
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    setupGamepad();
+
+    // VR headsets, or the mock runtime with ?xr=mock
+    setupVR();
+
+    // Resize
+    window.addEventListener('resize', onResize);
+
+    // Import world files dropped onto the canvas
+    setupFileDrop();
+
+    // 2D map editor canvas and the corner minimap
+    setupMapEditor();
+    setupMinimap();
+
+    // Open share links pasted into this tab
+    window.addEventListener('hashchange', onShareHashChange);
+
+    // Write a pending autosave before the tab goes away
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAutosave();
+    });
+
+    // Pointer lock for fly and walk modes
+    canvas.addEventListener('click', () => {
+        if (isFirstPerson()) {
+            canvas.requestPointerLock();
+        }
+    });
+
+    document.addEventListener('pointerlockchange', () => {
+        if (document.pointerLockElement !== canvas && isFirstPerson()) {
+            setMode('orbit');
+        }
+    });
+}
+
+function onMouseMove(event) {
+    // In VR the controllers aim; the mouse belongs to xr-mock.js if anything
+    if (vr.session) return;
+
+    // Update mouse position; with the pointer locked we aim at the crosshair
+    if (isFirstPerson() && document.pointerLockElement) {
+        mouse.set(0, 0);
+    } else {
+        mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    }
+
+    // Fly and walk mode look
+    if (isFirstPerson() && document.pointerLockElement) {
+        STATE.yaw -= event.movementX * 0.002;
+        STATE.pitch -= event.movementY * 0.002;
+        STATE.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, STATE.pitch));
+    }
+
+    // Update raycast
+    updateRaycast();
+
+    // Fly and walk modes paint while the button is held; orbit drags rotate instead
+    if (STATE.isPlacing && STATE.tool === 'build' && isFirstPerson() && document.pointerLockElement) {
+        placeBlock();
+    }
+}
+
+function onMouseDown(event) {
+    if (vr.session || (isFirstPerson() && !document.pointerLockElement)) return;
+
+    audio.init();
+
+    beginStroke();
+
+    if (event.button === 0) { // Left click - place
+        STATE.isPlacing = STATE.tool === 'build' && !STATE.floating;
+        primaryAction();
+    } else if (event.button === 2) { // Right click - remove
+        secondaryAction();
+    }
+}
+
+function onMouseUp(event) {
+    if (event.button === 0) {
+        STATE.isPlacing = false;
+    }
+    endStroke();
+}
+
+// One gesture runs from the first finger down to the last one up. A quick
+// one-finger tap does the primary action, holding still does the secondary
+// one (remove), and a quick two-finger tap undoes. In fly and walk modes a
+// one-finger drag looks around; the joystick moves.
+const TAP_THRESHOLD = 300; // ms
+const MOVE_THRESHOLD = 20; // pixels
+const LONG_PRESS_DELAY = 500; // ms
+const TOUCH_LOOK_SPEED = 0.005; // Radians per pixel
+
+const touchGesture = {
+    startTime: 0,
+    starts: new Map(),      // touch identifier -> { x, y } where it went down
+    last: null,             // { x, y } of the single finger for look drags
+    fingers: 0,             // Most fingers down at once during the gesture
+    moved: false,
+    longPressTimer: null,
+    longPressed: false
+};
+
+function setMouseFromTouch(touch) {
+    mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
+    updateRaycast();
+}
+
+function cancelLongPress() {
+    clearTimeout(touchGesture.longPressTimer);
+    touchGesture.longPressTimer = null;
+}
+
+function onTouchStart(event) {
+    audio.init();
+
+    if (touchGesture.starts.size === 0) {
+        touchGesture.startTime = Date.now();
+        touchGesture.fingers = 0;
+        touchGesture.moved = false;
+        touchGesture.longPressed = false;
+    }
+    Array.from(event.changedTouches).forEach(touch => {
+        touchGesture.starts.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+    });
+    touchGesture.fingers = Math.max(touchGesture.fingers, event.touches.length);
+
+    if (event.touches.length === 1) {
+        const touch = event.touches[0];
+        touchGesture.last = { x: touch.clientX, y: touch.clientY };
+        setMouseFromTouch(touch);
+
+        cancelLongPress();
+        touchGesture.longPressTimer = setTimeout(() => {
+            touchGesture.longPressTimer = null;
+            touchGesture.longPressed = true;
+            if (navigator.vibrate) navigator.vibrate(30);
+            secondaryAction();
+        }, LONG_PRESS_DELAY);
+    } else {
+        // A second finger means a pinch, pan or two-finger tap
+        cancelLongPress();
+    }
+}
+
+function onTouchMove(event) {
+    Array.from(event.changedTouches).forEach(touch => {
+        const start = touchGesture.starts.get(touch.identifier);
+        if (start && Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > MOVE_THRESHOLD) {
+            touchGesture.moved = true;
+        }
+    });
+    if (touchGesture.moved) cancelLongPress();
+
+    if (event.touches.length === 1) {
+        const touch = event.touches[0];
+        if (isFirstPerson() && touchGesture.last) {
+            event.preventDefault();
+            STATE.yaw -= (touch.clientX - touchGesture.last.x) * TOUCH_LOOK_SPEED;
+            STATE.pitch -= (touch.clientY - touchGesture.last.y) * TOUCH_LOOK_SPEED;
+            STATE.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, STATE.pitch));
+        }
+        touchGesture.last = { x: touch.clientX, y: touch.clientY };
+        setMouseFromTouch(touch);
+    }
+}
+
+function onTouchEnd(event) {
+    cancelLongPress();
+    Array.from(event.changedTouches).forEach(touch => touchGesture.starts.delete(touch.identifier));
+    if (event.touches.length > 0) {
+        // Look drags continue from whichever finger is left
+        const touch = event.touches[0];
+        touchGesture.last = { x: touch.clientX, y: touch.clientY };
+        return;
+    }
+    touchGesture.last = null;
+
+    const quick = Date.now() - touchGesture.startTime < TAP_THRESHOLD;
+    if (!quick || touchGesture.moved || touchGesture.longPressed) return;
+
+    if (touchGesture.fingers === 2) {
+        undo();
+    } else if (touchGesture.fingers === 1) {
+        // Act on the cell under the final touch position
+        setMouseFromTouch(event.changedTouches[0]);
+        primaryAction();
+    }
+}
+
+function onTouchCancel() {
+    // The browser took the touches over (a system gesture); act on nothing
+    cancelLongPress();
+    touchGesture.starts.clear();
+    touchGesture.last = null;
+}
+
+function onKeyDown(event) {
+    if (handleRebindKey(event, true)) return;
+    // The player is in the headset; Esc is the way out
+    if (vr.session) {
+        if (event.code === 'Escape') exitVR();
+        return;
+    }
+    // Let text fields in dialogs receive their own keystrokes
+    if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+    dispatchKeyDown(event);
+}
+
+function onKeyUp(event) {
+    if (handleRebindKey(event, false)) return;
+    if (vr.session) return;
+    dispatchKeyUp(event);
+}
+
+function onResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    if (mapEditor.open) resizeMapCanvas();
+}
+
+// ============================================================================
+// Key Bindings
+// ============================================================================
+
+// Every keyboard command is an action with up to two bindings. A binding is
+// a KeyboardEvent.code, optionally prefixed with "Ctrl+" (Cmd on Macs).
+// Held actions set a STATE flag while down; the rest run once per press.
+// Players can rebind them; only the changes are saved in localStorage.
+const BINDINGS_STORAGE_KEY = 'hexcraft-bindings';
+const MAX_BINDINGS = 2;
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+// Help panel sections in index.html, in order
+const HELP_GROUPS = { camera: 'Camera', building: 'Building', selection: 'Selection', map: '2D Map', simulation: 'Simulation', other: 'Other' };
+
+const INPUT_ACTIONS = [
+    { id: 'toggleMode', group: 'camera', name: 'Cycle Orbit / Fly / Walk mode', keys: ['KeyF'], run: () => toggleMode() },
+    { id: 'moveForward', group: 'camera', name: 'Move forward (fly and walk)', keys: ['KeyW'], hold: 'moveForward' },
+    { id: 'moveBackward', group: 'camera', name: 'Move back', keys: ['KeyS'], hold: 'moveBackward' },
+    { id: 'moveLeft', group: 'camera', name: 'Move left', keys: ['KeyA'], hold: 'moveLeft' },
+    { id: 'moveRight', group: 'camera', name: 'Move right', keys: ['KeyD'], hold: 'moveRight' },
+    { id: 'moveUp', group: 'camera', name: 'Up (fly) / Jump (walk)', keys: ['Space'], hold: 'moveUp', prevent: true },
+    { id: 'moveDown', group: 'camera', name: 'Down (fly)', keys: ['ShiftLeft'], hold: 'moveDown' },
+    { id: 'sprint', group: 'camera', name: 'Sprint', keys: ['ControlLeft'], hold: 'sprint' },
+
+    { id: 'brushSmaller', group: 'building', name: 'Brush size -', keys: ['KeyQ'], run: () => setBrushSize(STATE.brushSize - 1) },
+    { id: 'brushLarger', group: 'building', name: 'Brush size +', keys: ['KeyE'], run: () => setBrushSize(STATE.brushSize + 1) },
+    { id: 'brushShape', group: 'building', name: 'Brush shape (hex, ring, line)', keys: ['KeyB'], run: () => cycleBrushShape() },
+    { id: 'sliceMode', group: 'building', name: 'Slice view (off, ghost, hide)', keys: ['KeyH'], run: () => cycleSliceMode() },
+    { id: 'sliceDown', group: 'building', name: 'Slice layer down', keys: ['BracketLeft'], run: () => stepSlice(-1) },
+    { id: 'sliceUp', group: 'building', name: 'Slice layer up', keys: ['BracketRight'], run: () => stepSlice(1) },
+
+    { id: 'selectTool', group: 'selection', name: 'Toggle select tool', keys: ['KeyG'], run: () => toggleSelectTool() },
+    { id: 'copy', group: 'selection', name: 'Copy', keys: ['Ctrl+KeyC'], run: () => copySelection(), prevent: true },
+    { id: 'cut', group: 'selection', name: 'Cut', keys: ['Ctrl+KeyX'], run: () => cutSelection(), prevent: true },
+    { id: 'paste', group: 'selection', name: 'Paste', keys: ['Ctrl+KeyV'], run: () => startPaste(), prevent: true },
+    {
+        id: 'deleteSelection', group: 'selection', name: 'Delete selection', keys: ['Delete', 'Backspace'],
+        run: event => {
+            if (STATE.tool !== 'select') return;
+            deleteSelection();
+            event.preventDefault();
+        }
+    },
+    { id: 'rotate', group: 'selection', name: 'Rotate 60°', keys: ['KeyR'], run: () => rotateSelection() },
+    { id: 'mirror', group: 'selection', name: 'Mirror', keys: ['KeyT'], run: () => mirrorSelection() },
+    {
+        id: 'cancel', group: 'selection', name: 'Cancel paste or clear selection', keys: ['Escape'],
+        run: () => (STATE.floating ? cancelFloating() : clearSelection())
+    },
+
+    { id: 'mapEditor', group: 'map', name: 'Open / close the map editor', keys: ['KeyK'], run: () => toggleMapEditor() },
+
+    { id: 'simToggle', group: 'simulation', name: 'Play / pause', keys: ['KeyP'], run: () => toggleSimulation() },
+    { id: 'simStep', group: 'simulation', name: 'Step one tick', keys: ['KeyN'], run: () => stepSimulationOnce() },
+    { id: 'simSlower', group: 'simulation', name: 'Slower', keys: ['Minus'], run: () => changeSimulationSpeed(-1) },
+    { id: 'simFaster', group: 'simulation', name: 'Faster', keys: ['Equal'], run: () => changeSimulationSpeed(1) },
+
+    { id: 'undo', group: 'other', name: 'Undo', keys: ['Ctrl+KeyZ'], run: () => undo(), prevent: true },
+    { id: 'redo', group: 'other', name: 'Redo', keys: ['Ctrl+KeyY'], run: () => redo(), prevent: true },
+    {
+        id: 'save', group: 'other', name: 'Save world', keys: ['Ctrl+KeyS'], prevent: true,
+        run: () => (STATE.worldId ? saveWorld() : openWorldsDialog())
+    },
+    { id: 'dayCycle', group: 'other', name: 'Play / pause day-night cycle', keys: ['KeyL'], run: () => toggleDayCycle() },
+    { id: 'sound', group: 'other', name: 'Toggle sound', keys: ['KeyM'], run: () => updateSoundButton(audio.toggle()) },
+
+    // Material slots share one help row
+    ...Array.from({ length: 10 }, (_, i) => ({
+        id: `material${i + 1}`, group: 'building', name: `Material ${i + 1}`, keys: [`Digit${(i + 1) % 10}`],
+        run: () => { if (i < MATERIALS.length) selectMaterial(i); }
+    }))
+];
+
+const KEY_NAMES = {
+    Space: 'Space', Escape: 'Esc', Delete: 'Del', Backspace: 'Backspace', Enter: 'Enter', Tab: 'Tab',
+    ShiftLeft: 'Shift', ShiftRight: 'Right Shift', ControlLeft: 'Ctrl', ControlRight: 'Right Ctrl',
+    AltLeft: 'Alt', AltRight: 'Right Alt', MetaLeft: 'Meta', MetaRight: 'Right Meta',
+    BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '+', Semicolon: ';', Quote: '\'',
+    Comma: ',', Period: '.', Slash: '/', Backslash: '\\', Backquote: '`',
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+};
+
+const inputBindings = new Map();    // action id -> [binding]
+const bindingIndex = new Map();     // binding -> action
+let rebinding = null;               // { action, slot, modifier } while waiting for a key
+
+function getDefaultBindings() {
+    return new Map(INPUT_ACTIONS.map(action => [action.id, action.keys.slice()]));
+}
+
+function loadBindings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)) || {};
+    } catch (err) {
+        // Storage can be blocked or hold junk; keep the defaults
+    }
+
+    getDefaultBindings().forEach((keys, id) => {
+        const saved = stored[id];
+        const valid = Array.isArray(saved) && saved.every(key => typeof key === 'string');
+        inputBindings.set(id, valid ? saved.slice(0, MAX_BINDINGS) : keys);
+    });
+    indexBindings();
+}
+
+function saveBindings() {
+    // Only what differs from the defaults, so new actions get their keys
+    const defaults = getDefaultBindings();
+    const changed = {};
+    inputBindings.forEach((keys, id) => {
+        if (keys.join() !== defaults.get(id).join()) changed[id] = keys;
+    });
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(changed));
+    } catch (err) {
+        // Not persisted; the bindings still apply to this session
+    }
+}
+
+function indexBindings() {
+    bindingIndex.clear();
+    INPUT_ACTIONS.forEach(action => {
+        inputBindings.get(action.id).forEach(key => bindingIndex.set(key, action));
+    });
+}
+
+function getEventBinding(event) {
+    // Modifiers pressed on their own are plain keys (Shift to sink, Ctrl to sprint)
+    const ctrl = (event.ctrlKey || event.metaKey) && !MODIFIER_CODES.includes(event.code);
+    return (ctrl ? 'Ctrl+' : '') + event.code;
+}
+
+function getActionForEvent(event) {
+    // Unbound Ctrl combinations fall back to the plain key, so Ctrl+W sprints forward
+    return bindingIndex.get(getEventBinding(event)) || bindingIndex.get(event.code) || null;
+}
+
+function formatBinding(binding) {
+    const ctrl = binding.startsWith('Ctrl+');
+    const code = ctrl ? binding.slice(5) : binding;
+    let name = KEY_NAMES[code];
+    if (!name) {
+        name = code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+    }
+    return (ctrl ? 'Ctrl+' : '') + name;
+}
+
+function setBinding(actionId, slot, binding) {
+    // A key does one thing; take it from whichever action had it
+    INPUT_ACTIONS.forEach(action => {
+        if (action.id === actionId || binding === null) return;
+        const keys = inputBindings.get(action.id);
+        if (keys.includes(binding)) {
+            inputBindings.set(action.id, keys.filter(key => key !== binding));
+            showToast(`${formatBinding(binding)} removed from "${action.name}"`, 'warning');
+        }
+    });
+
+    const keys = inputBindings.get(actionId).slice();
+    if (binding === null) {
+        keys.splice(slot, 1);
+    } else {
+        keys[Math.min(slot, keys.length)] = binding;
+    }
+    inputBindings.set(actionId, keys.filter((key, i) => keys.indexOf(key) === i));
+
+    indexBindings();
+    saveBindings();
+    refreshBindingsList();
+    renderHelpKeys();
+}
+
+function resetBindings() {
+    getDefaultBindings().forEach((keys, id) => inputBindings.set(id, keys));
+    indexBindings();
+    saveBindings();
+    refreshBindingsList();
+    renderHelpKeys();
+    showToast('Controls reset to defaults', 'info');
+}
+
+function startRebinding(actionId, slot) {
+    rebinding = { actionId, slot, modifier: null };
+    refreshBindingsList();
+}
+
+// Called by onKeyDown/onKeyUp first; true means the key was taken
+function handleRebindKey(event, down) {
+    if (!rebinding) return false;
+    event.preventDefault();
+
+    if (down) {
+        if (event.code === 'Escape') {
+            rebinding = null;
+            refreshBindingsList();
+        } else if (MODIFIER_CODES.includes(event.code)) {
+            // Could be Ctrl+something; decide when it's released
+            rebinding.modifier = event.code;
+        } else {
+            const { actionId, slot } = rebinding;
+            rebinding = null;
+            setBinding(actionId, slot, getEventBinding(event));
+        }
+    } else if (rebinding.modifier === event.code) {
+        const { actionId, slot } = rebinding;
+        rebinding = null;
+        setBinding(actionId, slot, event.code);
+    }
+    return true;
+}
+
+function dispatchKeyDown(event) {
+    const action = getActionForEvent(event);
+    if (!action) return;
+
+    if (action.prevent) event.preventDefault();
+    if (action.hold) {
+        STATE[action.hold] = true;
+    } else {
+        action.run(event);
+    }
+}
+
+function dispatchKeyUp(event) {
+    // Release every held action on this key, whatever modifiers changed meanwhile
+    INPUT_ACTIONS.forEach(action => {
+        if (!action.hold) return;
+        const keys = inputBindings.get(action.id);
+        if (keys.some(key => key === event.code || key === `Ctrl+${event.code}`)) {
+            STATE[action.hold] = false;
+        }
+    });
+}
+
+// ---- Help panel and rebinding dialog ----
+
+function createKbd(text) {
+    const kbd = document.createElement('kbd');
+    kbd.textContent = text;
+    return kbd;
+}
+
+function renderHelpKeys() {
+    document.querySelectorAll('[data-help-group]').forEach(container => {
+        container.innerHTML = '';
+        const group = container.dataset.helpGroup;
+
+        const addRow = (keys, name) => {
+            const row = document.createElement('div');
+            row.className = 'help-row';
+            if (keys.length === 0) {
+                row.appendChild(createKbd('Unbound'));
+            }
+            keys.forEach((key, i) => {
+                if (i > 0) row.append(' / ');
+                row.appendChild(createKbd(formatBinding(key)));
+            });
+            row.append(` ${name}`);
+            container.appendChild(row);
+        };
+
+        INPUT_ACTIONS.forEach(action => {
+            if (action.group !== group || action.id.startsWith('material')) return;
+            addRow(inputBindings.get(action.id), action.name);
+        });
+
+        if (group === 'building') {
+            const keys = INPUT_ACTIONS
+                .filter(action => action.id.startsWith('material'))
+                .map(action => inputBindings.get(action.id)[0])
+                .filter(Boolean);
+            const row = document.createElement('div');
+            row.className = 'help-row';
+            row.appendChild(createKbd(keys.map(formatBinding).join(' ')));
+            row.append(' Select material 1-10');
+            container.appendChild(row);
+        }
+    });
+}
+
+function openBindingsDialog() {
+    const overlay = document.getElementById('bindingsOverlay');
+    if (!overlay) return;
+    rebinding = null;
+    refreshBindingsList();
+    overlay.classList.add('active');
+}
+
+function closeBindingsDialog() {
+    rebinding = null;
+    document.getElementById('bindingsOverlay')?.classList.remove('active');
+}
+
+function refreshBindingsList() {
+    const list = document.getElementById('bindings-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    Object.entries(HELP_GROUPS).forEach(([group, title]) => {
+        const heading = document.createElement('h3');
+        heading.className = 'bindings-heading';
+        heading.textContent = title;
+        list.appendChild(heading);
+
+        INPUT_ACTIONS.filter(action => action.group === group).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const name = document.createElement('span');
+            name.className = 'binding-name';
+            name.textContent = action.name;
+            row.appendChild(name);
+
+            const keys = inputBindings.get(action.id);
+            for (let slot = 0; slot < MAX_BINDINGS; slot++) {
+                const waiting = rebinding && rebinding.actionId === action.id && rebinding.slot === slot;
+                const key = keys[slot];
+                const button = document.createElement('button');
+                button.className = 'tool-btn binding-key' + (waiting ? ' active' : '');
+                button.textContent = waiting ? 'Press a key...' : key ? formatBinding(key) : '-';
+                button.title = 'Click, then press the new key (Esc cancels)';
+                button.addEventListener('click', () => startRebinding(action.id, slot));
+                row.appendChild(button);
+
+                const clear = document.createElement('button');
+                clear.className = 'close-btn binding-clear';
+                clear.title = 'Unbind';
+                clear.innerHTML = '&times;';
+                clear.disabled = !key;
+                clear.addEventListener('click', () => setBinding(action.id, slot, null));
+                row.appendChild(clear);
+            }
+            list.appendChild(row);
+        });
+    });
+}
+
+// ============================================================================
+// Gamepad
+// ============================================================================
+
+// Pads with the standard mapping: in fly and walk modes the left stick moves
+// and the right stick looks; in orbit mode the left stick slides the target
+// and the right stick orbits. Triggers place and remove at the center of
+// the screen, bumpers switch material. Polled once per frame; not remappable.
+const GAMEPAD_DEADZONE = 0.2;
+const GAMEPAD_MOVE_THRESHOLD = 0.5;     // Stick tilt that counts as a held movement key
+const GAMEPAD_LOOK_SPEED = 0.04;        // Radians per frame at full tilt
+const GAMEPAD_PAN_SPEED = 0.3;          // World units per frame at full tilt (orbit)
+const GAMEPAD_ZOOM_SPEED = 0.03;        // Share of the orbit distance per frame
+const GAMEPAD_BUTTONS = { a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, lt: 6, rt: 7, up: 12, down: 13 };
+
+const gamepad = {
+    index: null,            // navigator.getGamepads() slot in use
+    pressed: new Set(),     // Button indices down last frame
+    held: new Set()         // STATE movement flags the pad currently holds
+};
+
+function setupGamepad() {
+    window.addEventListener('gamepadconnected', event => {
+        if (gamepad.index !== null) return;
+        gamepad.index = event.gamepad.index;
+        showToast('Gamepad connected', 'success');
+    });
+    window.addEventListener('gamepaddisconnected', event => {
+        if (event.gamepad.index !== gamepad.index) return;
+        gamepad.index = null;
+        gamepad.pressed.clear();
+        gamepad.held.forEach(flag => { STATE[flag] = false; });
+        gamepad.held.clear();
+        STATE.isPlacing = false;
+        endStroke();
+        showToast('Gamepad disconnected', 'info');
+    });
+}
+
+// Only touch a flag when the pad's own state changes so keys keep working
+function setGamepadFlag(flag, on) {
+    if (on === gamepad.held.has(flag)) return;
+    STATE[flag] = on;
+    if (on) gamepad.held.add(flag);
+    else gamepad.held.delete(flag);
+}
+
+function updateGamepad() {
+    if (gamepad.index === null || !navigator.getGamepads) return;
+    const pad = navigator.getGamepads()[gamepad.index];
+    if (!pad) return;
+
+    const axis = i => (Math.abs(pad.axes[i] || 0) < GAMEPAD_DEADZONE ? 0 : pad.axes[i]);
+    const [lx, ly, rx, ry] = [axis(0), axis(1), axis(2), axis(3)];
+    const pressed = new Set();
+    pad.buttons.forEach((button, i) => {
+        if (button.pressed) pressed.add(i);
+    });
+    const isDown = name => pressed.has(GAMEPAD_BUTTONS[name]);
+    const justPressed = name => isDown(name) && !gamepad.pressed.has(GAMEPAD_BUTTONS[name]);
+    const justReleased = name => !isDown(name) && gamepad.pressed.has(GAMEPAD_BUTTONS[name]);
+    const moving = Boolean(lx || ly || rx || ry || isDown('a') || isDown('b'));
+
+    if (isFirstPerson()) {
+        setGamepadFlag('moveForward', ly < -GAMEPAD_MOVE_THRESHOLD);
+        setGamepadFlag('moveBackward', ly > GAMEPAD_MOVE_THRESHOLD);
+        setGamepadFlag('moveLeft', lx < -GAMEPAD_MOVE_THRESHOLD);
+        setGamepadFlag('moveRight', lx > GAMEPAD_MOVE_THRESHOLD);
+        setGamepadFlag('moveUp', isDown('a'));
+        setGamepadFlag('moveDown', isDown('b'));
+        STATE.yaw -= rx * GAMEPAD_LOOK_SPEED;
+        STATE.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, STATE.pitch - ry * GAMEPAD_LOOK_SPEED));
+    } else {
+        gamepad.held.forEach(flag => setGamepadFlag(flag, false));
+        if (moving) orbitWithGamepad(lx, ly, rx, ry, isDown('a') - isDown('b'));
+    }
+
+    // The pad aims at the center of the screen
+    if (moving || pressed.size > 0) {
+        mouse.set(0, 0);
+        updateRaycast();
+    }
+
+    // A held trigger is one stroke; in fly and walk modes it paints as it moves
+    if (justPressed('rt')) {
+        beginStroke();
+        STATE.isPlacing = STATE.tool === 'build' && !STATE.floating;
+        primaryAction();
+    } else if (isDown('rt') && STATE.isPlacing && isFirstPerson() && moving) {
+        placeBlock();
+    }
+    if (justPressed('lt')) {
+        beginStroke();
+        secondaryAction();
+    }
+    if ((justReleased('rt') || justReleased('lt')) && !isDown('rt') && !isDown('lt')) {
+        STATE.isPlacing = false;
+        endStroke();
+    }
+
+    if (justPressed('lb')) selectMaterial((STATE.currentMaterial + MATERIALS.length - 1) % MATERIALS.length);
+    if (justPressed('rb')) selectMaterial((STATE.currentMaterial + 1) % MATERIALS.length);
+    if (justPressed('y')) toggleMode();
+    if (justPressed('x')) undo();
+    if (justPressed('up')) setBrushSize(STATE.brushSize + 1);
+    if (justPressed('down')) setBrushSize(STATE.brushSize - 1);
+
+    gamepad.pressed = pressed;
+}
+
+function orbitWithGamepad(lx, ly, rx, ry, zoom) {
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta -= rx * GAMEPAD_LOOK_SPEED;
+    spherical.phi = Math.max(0.1, Math.min(controls.maxPolarAngle, spherical.phi - ry * GAMEPAD_LOOK_SPEED));
+    spherical.radius = Math.max(controls.minDistance,
+        Math.min(controls.maxDistance, spherical.radius * (1 - zoom * GAMEPAD_ZOOM_SPEED)));
+
+    // Slide the target along the ground relative to where the camera faces
+    const forward = new THREE.Vector3(-Math.sin(spherical.theta), 0, -Math.cos(spherical.theta));
+    const right = new THREE.Vector3(-forward.z, 0, forward.x);
+    controls.target.addScaledVector(forward, -ly * GAMEPAD_PAN_SPEED);
+    controls.target.addScaledVector(right, lx * GAMEPAD_PAN_SPEED);
+
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+}
+
+// ============================================================================
+// Game Logic
+// ============================================================================
+
+// The pointer is the mouse, or the building hand's controller in VR
+function aimRaycaster() {
+    if (vr.session && vr.hands.build) {
+        setRayFromController(raycaster.ray, vr.hands.build);
+    } else {
+        raycaster.setFromCamera(mouse, camera);
+    }
+}
 
 function updateRaycast() {
-    raycaster.setFromCamera(mouse, camera);
+    aimRaycaster();
+    const hit = pickBlock(raycaster.ray, getPickDistance());
+
+    if (hit) {
+        // Remember the cell a new block would fill; ground hits report y = -1
+        const { q, r, y } = hit.place;
+        STATE.hoveredBlock = { q, r, y };
+        STATE.hoveredFace = hit.faceName;
+        STATE.hoveredHit = hit;
+    } else {
+        STATE.hoveredBlock = null;
+        STATE.hoveredHit = null;
+    }
+
+    updateToolPreview();
+}
+
+function updateToolPreview() {
+    const hit = STATE.hoveredHit;
+
+    if (STATE.floating) {
+        highlightMesh.visible = false;
+        updateFloatingPreview();
+        return;
+    }
+
+    if (!hit) {
+        highlightMesh.visible = false;
+        return;
+    }
+
+    if (STATE.tool === 'select') {
+        const target = getSelectionTarget(hit);
+        setHighlight(target.q, target.r, target.y, [target]);
+        if (STATE.selectionAnchor) {
+            setSelection(STATE.selectionAnchor, target);
+        }
+        return;
+    }
+
+    const { q, r, y } = hit.place;
+    if (!canEditLayer(Math.max(0, y))) {
+        highlightMesh.visible = false;
+        return;
+    }
+    setHighlight(q, r, Math.max(0, y));
+}
+
+// Left click, tap and the mobile Place button all do whatever the
+// current tool does
+function primaryAction() {
+    if (STATE.floating) {
+        placeFloating();
+    } else if (STATE.tool === 'select') {
+        selectAtCursor();
+    } else {
+        placeBlock();
+    }
+}
+
+function secondaryAction() {
+    if (STATE.floating) {
+        cancelFloating();
+    } else if (STATE.tool === 'select') {
+        clearSelection();
+    } else {
+        removeBlockAtCursor();
+    }
+}
+
+function placeBlock() {
+    if (!STATE.hoveredBlock || guardReadOnly()) return;
+
+    const { q, r, y } = STATE.hoveredBlock;
+    const placeY = y === -1 ? 0 : y;
+
+    if (placeY < 0 || placeY >= CONFIG.maxHeight || !canEditLayer(placeY)) return;
+
+    // Dragging keeps painting on the layer the stroke started on
+    if (STATE.stroke) {
+        if (STATE.stroke.y === null) STATE.stroke.y = placeY;
+        if (STATE.stroke.y !== placeY) return;
+    }
+
+    let placed = 0;
+    getBrushCells(q, r).forEach(cell => {
+        // Walkers can't build a block inside themselves
+        if (STATE.mode === 'walk' && cellOverlapsWalker(cell.q, cell.r, placeY)) return;
+        if (addBlock(cell.q, cell.r, placeY, STATE.currentMaterial, true, placed === 0)) {
+            placed++;
+        }
+    });
+
+    if (placed > 0) commitEdit('Place');
+}
+
+function removeBlockAtCursor() {
+    if (guardReadOnly()) return;
+    aimRaycaster();
+    const hit = pickBlock(raycaster.ray, getPickDistance());
+
+    if (hit && hit.block && canEditLayer(hit.block.y)) {
+        const block = hit.block;
+        let removed = 0;
+        getBrushCells(block.q, block.r).forEach(cell => {
+            if (removeBlock(cell.q, cell.r, block.y, true, removed === 0)) {
+                removed++;
+            }
+        });
+
+        if (removed > 0) commitEdit('Remove');
+    }
+}
+
+const CAMERA_MODES = ['orbit', 'fly', 'walk'];
+const MODE_NAMES = { orbit: 'Orbit', fly: 'Fly', walk: 'Walk' };
+
+function toggleMode() {
+    setMode(getNextMode());
+}
+
+function getNextMode() {
+    return CAMERA_MODES[(CAMERA_MODES.indexOf(STATE.mode) + 1) % CAMERA_MODES.length];
+}
+
+function isFirstPerson() {
+    return STATE.mode === 'fly' || STATE.mode === 'walk';
+}
+
+function setMode(mode) {
+    const previous = STATE.mode;
+    STATE.mode = mode;
+    audio.playModeSwitch();
+
+    if (mode === 'orbit') {
+        controls.enabled = true;
+        STATE.walker = null;
+        document.exitPointerLock();
+        document.getElementById('crosshair').style.display = 'none';
+        document.getElementById('mode-indicator').textContent = 'Orbit Mode';
+    } else {
+        controls.enabled = false;
+        document.getElementById('crosshair').style.display = 'block';
+        document.getElementById('mode-indicator').textContent = `${MODE_NAMES[mode]} Mode (ESC to exit)`;
+        // Store current camera orientation
+        const dir = new THREE.Vector3();
+        camera.getWorldDirection(dir);
+        STATE.yaw = Math.atan2(-dir.x, -dir.z);
+        STATE.pitch = Math.asin(dir.y);
+        mouse.set(0, 0);
+
+        if (mode === 'walk') startWalking(previous);
+        else STATE.walker = null;
+    }
+
+    updateModeButton();
+    updateTouchControls();
+}
+
+function updateFlyMovement() {
+    if (STATE.mode !== 'fly') return;
+
+    const speed = CONFIG.flySpeed * (STATE.sprint ? CONFIG.sprintMultiplier : 1);
+
+    // Direction vectors
+    const forward = new THREE.Vector3(
+        -Math.sin(STATE.yaw) * Math.cos(STATE.pitch),
+        Math.sin(STATE.pitch),
+        -Math.cos(STATE.yaw) * Math.cos(STATE.pitch)
+    );
+
+    const right = new THREE.Vector3(
+        Math.cos(STATE.yaw),
+        0,
+        -Math.sin(STATE.yaw)
+    );
+
+    const velocity = new THREE.Vector3();
+
+    if (STATE.moveForward) velocity.add(forward);
+    if (STATE.moveBackward) velocity.sub(forward);
+    if (STATE.moveRight) velocity.add(right);
+    if (STATE.moveLeft) velocity.sub(right);
+    if (STATE.moveUp) velocity.y += 1;
+    if (STATE.moveDown) velocity.y -= 1;
+
+    if (velocity.length() > 0) {
+        velocity.normalize().multiplyScalar(speed);
+        camera.position.add(velocity);
+    }
+
+    // Update camera look direction
+    camera.rotation.order = 'YXZ';
+    camera.rotation.y = STATE.yaw;
+    camera.rotation.x = STATE.pitch;
+}
+
+// ----------------------------------------------------------------------------
+// Walk mode
+// ----------------------------------------------------------------------------
+
+// The walker is a vertical cylinder standing on `feet`. Blocks at layer y
+// fill world heights (y + 0.5) * h to (y + 1.5) * h. The walkable floor is
+// the bottom of layer 0, so the first block is a single step like the rest.
+let walkLastTime = 0;
+
+function getFloorHeight() {
+    return getLayerBottom(0);
+}
+
+function getPickDistance() {
+    return STATE.mode === 'walk' ? CONFIG.reachDistance : CONFIG.pickDistance;
+}
+
+function getFootprintColumns(x, z) {
+    // The center plus six points on the rim cover every column the
+    // cylinder can touch, since it is much narrower than a hex
+    const columns = new Map();
+    const add = (px, pz) => {
+        const { q, r } = worldToHex(px, pz);
+        columns.set(`${q},${r}`, { q, r });
+    };
+    add(x, z);
+    for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 3 * i;
+        add(x + Math.cos(angle) * CONFIG.playerRadius, z + Math.sin(angle) * CONFIG.playerRadius);
+    }
+    return Array.from(columns.values());
+}
+
+function walkerCollides(x, z, feet) {
+    const h = CONFIG.hexHeight;
+    const head = feet + CONFIG.playerHeight;
+    const minY = Math.max(0, Math.floor(feet / h - 1.5));
+    const maxY = Math.min(CONFIG.maxHeight - 1, Math.ceil(head / h - 0.5));
+
+    return getFootprintColumns(x, z).some(({ q, r }) => {
+        for (let y = minY; y <= maxY; y++) {
+            if (!STATE.blocks.has(getBlockKey(q, r, y))) continue;
+            // Small tolerance so standing exactly on a top doesn't count
+            if ((y + 0.5) * h < head - 0.001 && (y + 1.5) * h > feet + 0.001) return true;
+        }
+        return false;
+    });
+}
+
+function getSupportHeight(x, z, feet) {
+    // Highest block top at or below the feet, or the floor
+    const h = CONFIG.hexHeight;
+    let support = getFloorHeight();
+    getFootprintColumns(x, z).forEach(({ q, r }) => {
+        for (let y = Math.min(CONFIG.maxHeight - 1, Math.floor(feet / h - 1.5 + 0.001)); y >= 0; y--) {
+            if (STATE.blocks.has(getBlockKey(q, r, y))) {
+                support = Math.max(support, (y + 1.5) * h);
+                break;
+            }
+        }
+    });
+    return support;
+}
+
+function cellOverlapsWalker(q, r, y) {
+    if (!STATE.walker) return false;
+    const h = CONFIG.hexHeight;
+    const feet = STATE.walker.feet;
+    if ((y + 0.5) * h >= feet + CONFIG.playerHeight || (y + 1.5) * h <= feet) return false;
+    return getFootprintColumns(camera.position.x, camera.position.z)
+        .some(column => column.q === q && column.r === r);
+}
+
+function startWalking(previousMode) {
+    // From orbit, land on whatever is under the orbit target; from fly,
+    // drop from where the camera is
+    let x = camera.position.x;
+    let z = camera.position.z;
+    let feet = camera.position.y - CONFIG.eyeHeight;
+
+    if (previousMode === 'orbit') {
+        x = controls.target.x;
+        z = controls.target.z;
+        feet = getSupportHeight(x, z, Infinity);
+    }
+
+    STATE.walker = { feet: Math.max(getFloorHeight(), feet), vy: 0, onGround: false };
+    camera.position.set(x, STATE.walker.feet + CONFIG.eyeHeight, z);
+    walkLastTime = performance.now();
+}
+
+function moveWalker(x, z, dx, dz) {
+    const walker = STATE.walker;
+
+    if (!walkerCollides(x + dx, z + dz, walker.feet)) {
+        return { x: x + dx, z: z + dz };
+    }
+
+    // Step up a single layer when standing on something
+    if (walker.onGround) {
+        const stepFeet = walker.feet + CONFIG.hexHeight + 0.001;
+        if (!walkerCollides(x + dx, z + dz, stepFeet)) {
+            walker.feet = getSupportHeight(x + dx, z + dz, stepFeet);
+            return { x: x + dx, z: z + dz };
+        }
+    }
+
+    // Otherwise slide along whichever axis is free
+    if (dx !== 0 && !walkerCollides(x + dx, z, walker.feet)) return { x: x + dx, z };
+    if (dz !== 0 && !walkerCollides(x, z + dz, walker.feet)) return { x, z: z + dz };
+    return { x, z };
+}
+
+function updateWalkMovement() {
+    const walker = STATE.walker;
+    if (STATE.mode !== 'walk' || !walker) return;
+
+    const now = performance.now();
+    // Clamp the step so a background tab doesn't tunnel through floors
+    const dt = Math.min((now - walkLastTime) / 1000, 0.05);
+    walkLastTime = now;
+
+    // Horizontal movement follows yaw only
+    const forward = new THREE.Vector3(-Math.sin(STATE.yaw), 0, -Math.cos(STATE.yaw));
+    const right = new THREE.Vector3(Math.cos(STATE.yaw), 0, -Math.sin(STATE.yaw));
+    const move = new THREE.Vector3();
+    if (STATE.moveForward) move.add(forward);
+    if (STATE.moveBackward) move.sub(forward);
+    if (STATE.moveRight) move.add(right);
+    if (STATE.moveLeft) move.sub(right);
+
+    let { x, z } = camera.position;
+    if (move.lengthSq() > 0) {
+        const speed = CONFIG.walkSpeed * (STATE.sprint ? CONFIG.sprintMultiplier : 1) * dt;
+        move.normalize().multiplyScalar(speed);
+        ({ x, z } = moveWalker(x, z, move.x, move.z));
+    }
+
+    // Jump, gravity and landing
+    if (STATE.moveUp && walker.onGround) {
+        walker.vy = CONFIG.jumpSpeed;
+        walker.onGround = false;
+    }
+    walker.vy -= CONFIG.walkGravity * dt;
+    const nextFeet = walker.feet + walker.vy * dt;
+
+    if (walker.vy > 0) {
+        if (walkerCollides(x, z, nextFeet)) {
+            walker.vy = 0;      // Bumped a ceiling
+        } else {
+            walker.feet = nextFeet;
+        }
+    } else {
+        const support = getSupportHeight(x, z, walker.feet);
+        if (nextFeet <= support) {
+            walker.feet = support;
+            walker.vy = 0;
+            walker.onGround = true;
+        } else {
+            walker.feet = nextFeet;
+            walker.onGround = false;
+        }
+    }
+
+    camera.position.set(x, walker.feet + CONFIG.eyeHeight, z);
+    camera.rotation.order = 'YXZ';
+    camera.rotation.y = STATE.yaw;
+    camera.rotation.x = STATE.pitch;
+}
+
+// ============================================================================
+// Selection
+// ============================================================================
+
+const SELECTION_COLOR = 0x6366f1;
+
+let selectionGhost, floatingGhost;
+
+// Translucent hex cells drawn in the highlightMesh style, used for the
+// selection region and for content floating under the cursor
+class GhostCells {
+    constructor(color, opacity) {
+        this.material = highlightMesh.material.clone();
+        this.material.color.set(color);
+        this.material.opacity = opacity;
+        this.material.depthWrite = false;
+        this.capacity = 0;
+        this.mesh = null;
+    }
+
+    ensureCapacity(count) {
+        if (count <= this.capacity) return;
+
+        if (this.mesh) {
+            scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        this.capacity = Math.max(count, this.capacity * 2, 16);
+        this.mesh = new THREE.InstancedMesh(highlightMesh.geometry, this.material, this.capacity);
+        this.mesh.frustumCulled = false;
+        this.mesh.count = 0;
+        scene.add(this.mesh);
+    }
+
+    // cells: [{ q, r, y, color? }] in absolute grid coordinates
+    show(cells) {
+        this.ensureCapacity(cells.length);
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+
+        cells.forEach((cell, i) => {
+            const worldPos = hexToWorld(cell.q, cell.r);
+            matrix.makeTranslation(worldPos.x, cell.y * CONFIG.hexHeight, worldPos.z);
+            this.mesh.setMatrixAt(i, matrix);
+            color.set(cell.color || 0xffffff);
+            this.mesh.setColorAt(i, color);
+        });
+
+        this.mesh.count = cells.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        if (this.mesh.instanceColor) this.mesh.instanceColor.needsUpdate = true;
+        this.mesh.visible = cells.length > 0;
+    }
+
+    hide() {
+        if (this.mesh) this.mesh.visible = false;
+    }
+}
+
+function createSelectionGhosts() {
+    selectionGhost = new GhostCells(SELECTION_COLOR, 0.15);
+    floatingGhost = new GhostCells(0xffffff, 0.45);
+}
+
+// Rotate 60 degrees around the origin, one step along HEX_DIRECTIONS
+function rotateHex(q, r) {
+    return { q: -r, r: q + r };
+}
+
+// Reflect across the line through the origin along HEX_DIRECTIONS[axis]
+function mirrorHex(q, r, axis) {
+    if (axis === 0) return { q: q + r, r: -r };
+    if (axis === 1) return { q: -q, r: q + r };
+    return { q: -r, r: -q };
+}
+
+function getSelectionTarget(hit) {
+    // Select the block under the cursor, or the empty cell on the ground
+    if (hit.block) return hit.block;
+    return { q: hit.place.q, r: hit.place.r, y: Math.max(0, hit.place.y) };
+}
+
+function getSelectionRegion(selection) {
+    const { a, b } = selection;
+    const region = {
+        minY: Math.max(0, Math.min(a.y, b.y)),
+        maxY: Math.min(CONFIG.maxHeight - 1, Math.max(a.y, b.y)),
+        columns: []
+    };
+
+    if (selection.shape === 'hex') {
+        const radius = hexDistance(a.q, a.r, b.q, b.r);
+        region.center = { q: a.q, r: a.r };
+        for (let dq = -radius; dq <= radius; dq++) {
+            for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+                region.columns.push({ q: a.q + dq, r: a.r + dr });
+            }
+        }
+    } else {
+        const minQ = Math.min(a.q, b.q);
+        const maxQ = Math.max(a.q, b.q);
+        const minR = Math.min(a.r, b.r);
+        const maxR = Math.max(a.r, b.r);
+        region.center = hexRound((minQ + maxQ) / 2, (minR + maxR) / 2);
+        for (let q = minQ; q <= maxQ; q++) {
+            for (let r = minR; r <= maxR; r++) {
+                region.columns.push({ q, r });
+            }
+        }
+    }
+    return region;
+}
+
+function getRegionCells(region) {
+    const cells = [];
+    region.columns.forEach(({ q, r }) => {
+        for (let y = region.minY; y <= region.maxY; y++) {
+            cells.push({ q, r, y });
+        }
+    });
+    return cells;
+}
+
+// With a slice active only its layer can change
+function getEditableRegionCells(region) {
+    return getRegionCells(region).filter(cell => canEditLayer(cell.y));
+}
+
+// Occupied cells of the region, relative to its center and lowest layer.
+// Edits that take blocks out (cut, move, rotate) pass editableOnly.
+function getRegionBlocks(region, editableOnly = false) {
+    const blocks = [];
+    (editableOnly ? getEditableRegionCells(region) : getRegionCells(region)).forEach(({ q, r, y }) => {
+        const key = getBlockKey(q, r, y);
+        if (STATE.blocks.has(key)) {
+            blocks.push({
+                q: q - region.center.q,
+                r: r - region.center.r,
+                y: y - region.minY,
+                materialIndex: STATE.blocks.get(key)
+            });
+        }
+    });
+    return blocks;
+}
+
+function setSelection(a, b) {
+    STATE.selection = { shape: STATE.selectionShape, a, b };
+    selectionGhost.show(getRegionCells(getSelectionRegion(STATE.selection)));
+    updateSelectionPanel();
+}
+
+function clearSelection() {
+    STATE.selection = null;
+    STATE.selectionAnchor = null;
+    selectionGhost.hide();
+    updateSelectionPanel();
+}
+
+function selectAtCursor() {
+    if (!STATE.hoveredHit) return;
+    const target = getSelectionTarget(STATE.hoveredHit);
+
+    // First click anchors the region, the second one closes it
+    if (STATE.selectionAnchor) {
+        setSelection(STATE.selectionAnchor, target);
+        STATE.selectionAnchor = null;
+    } else {
+        STATE.selectionAnchor = target;
+        setSelection(target, target);
+    }
+    audio.playSelect();
+    updateSelectionPanel();
+}
+
+function setSelectTool(enabled) {
+    STATE.tool = enabled ? 'select' : 'build';
+    STATE.selectionAnchor = null;
+    if (!enabled) {
+        cancelFloating();
+        clearSelection();
+    }
+    audio.playModeSwitch();
+    updateToolPreview();
+    updateSelectionPanel();
+}
+
+function toggleSelectTool() {
+    setSelectTool(STATE.tool !== 'select');
+}
+
+function setSelectionShape(shape) {
+    STATE.selectionShape = shape;
+    if (STATE.selection) {
+        setSelection(STATE.selection.a, STATE.selection.b);
+    }
+    updateSelectionPanel();
+}
+
+function requireSelection() {
+    if (STATE.selection) return getSelectionRegion(STATE.selection);
+    showToast('Select a region first (G, then click two corners)', 'warning');
+    return null;
+}
+
+function copySelection() {
+    const region = requireSelection();
+    if (!region) return false;
+
+    STATE.clipboard = getRegionBlocks(region);
+    showToast(`Copied ${STATE.clipboard.length} blocks`, 'success');
+    updateSelectionPanel();
+    return true;
+}
+
+function clearRegion(region) {
+    let changed = 0;
+    getEditableRegionCells(region).forEach(({ q, r, y }) => {
+        if (setBlockAt(getBlockKey(q, r, y), null)) changed++;
+    });
+    return changed;
+}
+
+function cutSelection() {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    STATE.clipboard = getRegionBlocks(region, true);
+    clearRegion(region);
+    saveState('Cut');
+    audio.playRemove();
+    updateSelectionPanel();
+}
+
+function deleteSelection() {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    if (clearRegion(region) > 0) {
+        saveState('Delete');
+        audio.playRemove();
+    }
+}
+
+function fillSelection() {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    getEditableRegionCells(region).forEach(({ q, r, y }) => {
+        setBlockAt(getBlockKey(q, r, y), STATE.currentMaterial);
+    });
+    saveState('Fill');
+    audio.playPlace();
+}
+
+function replaceInSelection(fromMaterial) {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    let replaced = 0;
+    getEditableRegionCells(region).forEach(({ q, r, y }) => {
+        const key = getBlockKey(q, r, y);
+        if (STATE.blocks.get(key) === fromMaterial && setBlockAt(key, STATE.currentMaterial)) {
+            replaced++;
+        }
+    });
+
+    if (replaced > 0) {
+        saveState('Replace');
+        audio.playPlace();
+    }
+    showToast(`Replaced ${replaced} ${MATERIALS[fromMaterial].name} blocks`, replaced ? 'success' : 'warning');
+}
+
+function transformSelection(transform, label) {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    const blocks = getRegionBlocks(region, true);
+    clearRegion(region);
+
+    const moved = blocks.map(block => {
+        const cell = transform(block.q, block.r);
+        return {
+            q: region.center.q + cell.q,
+            r: region.center.r + cell.r,
+            y: region.minY + block.y,
+            materialIndex: block.materialIndex
+        };
+    });
+    moved.forEach(cell => setBlockAt(getBlockKey(cell.q, cell.r, cell.y), cell.materialIndex));
+
+    // A hex region maps onto itself; a box has to grow to cover the result
+    if (STATE.selection.shape === 'box') {
+        const columns = region.columns.map(({ q, r }) => transform(q - region.center.q, r - region.center.r));
+        const qs = columns.map(c => c.q + region.center.q);
+        const rs = columns.map(c => c.r + region.center.r);
+        setSelection(
+            { q: Math.min(...qs), r: Math.min(...rs), y: region.minY },
+            { q: Math.max(...qs), r: Math.max(...rs), y: region.maxY }
+        );
+    }
+
+    saveState(label);
+    audio.playSelect();
+}
+
+function transformCells(cells, transform) {
+    return cells.map(cell => Object.assign({}, cell, transform(cell.q, cell.r)));
+}
+
+function rotateSelection() {
+    if (STATE.floating) {
+        STATE.floating.cells = transformCells(STATE.floating.cells, rotateHex);
+        updateFloatingPreview();
+        audio.playSelect();
+    } else if (STATE.tool === 'select') {
+        transformSelection(rotateHex, 'Rotate');
+    }
+}
+
+function mirrorSelection() {
+    const mirror = (q, r) => mirrorHex(q, r, STATE.mirrorAxis);
+    if (STATE.floating) {
+        STATE.floating.cells = transformCells(STATE.floating.cells, mirror);
+        updateFloatingPreview();
+        audio.playSelect();
+    } else if (STATE.tool === 'select') {
+        transformSelection(mirror, 'Mirror');
+    }
+}
+
+function setMirrorAxis(axis) {
+    STATE.mirrorAxis = axis;
+    updateSelectionPanel();
+}
+
+// ----------------------------------------------------------------------------
+// Floating content (paste and move)
+// ----------------------------------------------------------------------------
+
+// lifted: [{ key, materialIndex }] taken out of the world by a move, put
+// back if the move is cancelled
+// materials: palette entries the cells use beyond the end of MATERIALS,
+// added when the cells are placed
+function startFloating(cells, label, lifted = [], materials = []) {
+    if (guardReadOnly()) return;
+    if (cells.length === 0) {
+        showToast('Nothing to place', 'warning');
+        return;
+    }
+
+    // Edits made while something floats belong to the floating action
+    if (STATE.simRunning) toggleSimulation();
+
+    STATE.floating = { cells: cells.map(cell => Object.assign({}, cell)), label, lifted, materials };
+    STATE.selectionAnchor = null;
+    updateToolPreview();
+    updateSelectionPanel();
+}
+
+function startPaste() {
+    if (!STATE.clipboard) {
+        showToast('Clipboard is empty', 'warning');
+        return;
+    }
+    if (STATE.tool !== 'select') setSelectTool(true);
+    startFloating(STATE.clipboard, 'Paste');
+}
+
+function startMove() {
+    if (guardReadOnly()) return;
+    const region = requireSelection();
+    if (!region) return;
+
+    const blocks = getRegionBlocks(region, true);
+    const lifted = getEditableRegionCells(region)
+        .map(({ q, r, y }) => getBlockKey(q, r, y))
+        .filter(key => STATE.blocks.has(key))
+        .map(key => ({ key, materialIndex: STATE.blocks.get(key) }));
+    // Lift the blocks out now; they are committed together with the drop
+    clearRegion(region);
+    clearSelection();
+    startFloating(blocks, 'Move', lifted);
+}
+
+function getFloatingOrigin() {
+    if (!STATE.hoveredBlock) return null;
+    const { q, r, y } = STATE.hoveredBlock;
+    return { q, r, y: Math.max(0, y) };
+}
+
+function updateFloatingPreview() {
+    const origin = getFloatingOrigin();
+    if (!STATE.floating || !origin) {
+        floatingGhost.hide();
+        return;
+    }
+
+    // Only what placeFloating() would write; a slice keeps other layers out
+    floatingGhost.show(STATE.floating.cells.map(cell => ({
+        q: origin.q + cell.q,
+        r: origin.r + cell.r,
+        y: origin.y + cell.y,
+        color: (MATERIALS[cell.materialIndex] || STATE.floating.materials[cell.materialIndex - MATERIALS.length]).color
+    })).filter(cell => cell.y < CONFIG.maxHeight && canEditLayer(cell.y)));
+}
+
+function placeFloating() {
+    const origin = getFloatingOrigin();
+    if (!STATE.floating || !origin) return;
+
+    const { materials } = STATE.floating;
+    materials.forEach(mat => {
+        MATERIALS.push(mat);
+        refreshBlockMaterial(MATERIALS.length - 1);
+    });
+    STATE.floating.cells.forEach(cell => {
+        const y = origin.y + cell.y;
+        if (y < CONFIG.maxHeight && canEditLayer(y)) {
+            setBlockAt(getBlockKey(origin.q + cell.q, origin.r + cell.r, y), cell.materialIndex);
+        }
+    });
+    if (materials.length > 0) {
+        // The new materials belong to this undo step; with nothing placed
+        // there is no step, so they don't stay either
+        if (STATE.pendingChanges.size > 0) {
+            saveState(STATE.floating.label);
+            STATE.history[STATE.historyIndex].materials = materials;
+        } else {
+            MATERIALS.length -= materials.length;
+        }
+        refreshMaterialUI();
+    } else {
+        saveState(STATE.floating.label);
+    }
+    audio.playPlace();
+
+    STATE.floating = null;
+    floatingGhost.hide();
+    updateToolPreview();
+    updateSelectionPanel();
+}
+
+function cancelFloating() {
+    if (!STATE.floating) return;
+
+    // A cancelled move puts the lifted blocks back. Usually that just
+    // cancels out the pending removal; if something committed the removal
+    // in the meantime, putting them back is an undo step of its own.
+    STATE.floating.lifted.forEach(({ key, materialIndex }) => setBlockAt(key, materialIndex));
+    saveState('Cancel Move');
+    STATE.floating = null;
+    floatingGhost.hide();
+    updateToolPreview();
+    updateSelectionPanel();
+}
+
+function updateSelectionPanel() {
+    const panel = document.getElementById('selection-panel');
+    if (!panel) return;
+
+    panel.classList.toggle('active', STATE.tool === 'select');
+    document.getElementById('select-tool-btn')?.classList.toggle('active', STATE.tool === 'select');
+
+    panel.querySelectorAll('[data-shape]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.shape === STATE.selectionShape);
+    });
+
+    const axisSelect = document.getElementById('mirror-axis-select');
+    if (axisSelect) axisSelect.value = String(STATE.mirrorAxis);
+
+    const info = document.getElementById('selection-info');
+    if (!info) return;
+    if (STATE.floating) {
+        info.textContent = `${STATE.floating.label}: click to place, R rotate, T mirror, Esc cancel`;
+    } else if (STATE.selectionAnchor) {
+        info.textContent = 'Click the opposite corner';
+    } else if (STATE.selection) {
+        const region = getSelectionRegion(STATE.selection);
+        info.textContent = `${getRegionBlocks(region).length} blocks in ${region.columns.length} columns, ` +
+            `layers ${region.minY}-${region.maxY}`;
+    } else {
+        info.textContent = 'Click two corners to select';
+    }
+}
+
+function updateReplaceOptions() {
+    const select = document.getElementById('replace-from-select');
+    if (!select) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+    MATERIALS.forEach((mat, index) => select.add(new Option(mat.name, index)));
+    if (previous && previous < MATERIALS.length) select.value = previous;
+}
+
+// ============================================================================
+// Prefabs
+// ============================================================================
+
+// Prefabs are named block groups stored relative to a center column and
+// their lowest layer. Like world files they carry their own palette, so a
+// prefab keeps its materials even if the palette order changes.
+const PREFAB_FORMAT = 'hexcraft-prefab';
+const PREFAB_FORMAT_VERSION = 1;
+const MAX_PREFAB_BLOCKS = 4096;
+
+function hexCells(radius, y, materialName) {
+    const cells = [];
+    for (let q = -radius; q <= radius; q++) {
+        for (let r = Math.max(-radius, -q - radius); r <= Math.min(radius, -q + radius); r++) {
+            cells.push([q, r, y, materialName]);
+        }
+    }
+    return cells;
+}
+
+function createBuiltinPrefab(id, name, cells) {
+    // Built-ins are written with material names and packed like a saved prefab
+    const palette = [];
+    const packed = cells.map(([q, r, y, materialName]) => {
+        let index = palette.indexOf(materialName);
+        if (index === -1) index = palette.push(materialName) - 1;
+        return [q, r, y, index];
+    });
+
+    return {
+        id,
+        builtin: true,
+        format: PREFAB_FORMAT,
+        version: PREFAB_FORMAT_VERSION,
+        name,
+        palette: palette.map(materialName => Object.assign({}, MATERIALS.find(m => m.name === materialName))),
+        cells: packed,
+        createdAt: 0
+    };
+}
+
+const BUILTIN_PREFABS = [
+    createBuiltinPrefab('builtin-tree', 'Tree', [
+        [0, 0, 0, 'Wood'], [0, 0, 1, 'Wood'], [0, 0, 2, 'Wood'],
+        ...hexCells(1, 3, 'Grass'),
+        [0, 0, 4, 'Grass']
+    ]),
+    createBuiltinPrefab('builtin-house', 'House', [
+        // Ring walls with a doorway on the +q side, then a stepped roof
+        ...hexCells(1, 0, 'Wood').filter(([q, r]) => (q !== 0 || r !== 0) && (q !== 1 || r !== 0)),
+        ...hexCells(1, 1, 'Wood').filter(([q, r]) => q !== 0 || r !== 0),
+        ...hexCells(1, 2, 'Stone'),
+        [0, 0, 3, 'Stone']
+    ]),
+    createBuiltinPrefab('builtin-bridge', 'Bridge', [
+        [-3, 0, 0, 'Stone'], [-3, 0, 1, 'Stone'], [3, 0, 0, 'Stone'], [3, 0, 1, 'Stone'],
+        ...[-3, -2, -1, 0, 1, 2, 3].map(q => [q, 0, 2, 'Wood'])
+    ]),
+    createBuiltinPrefab('builtin-tower', 'Tower', [
+        ...[0, 1, 2, 3, 4].flatMap(y => hexCells(1, y, 'Stone').filter(([q, r]) => q !== 0 || r !== 0)),
+        ...hexCells(1, 5, 'Stone').filter(([q, r]) => (q + 2 * r) % 2 === 0)
+    ])
+];
+
+function createPrefabDocument(name, cells) {
+    // cells: [{ q, r, y, materialIndex }] relative to the prefab origin
+    const used = [];
+    const packed = cells.map(cell => {
+        let index = used.indexOf(cell.materialIndex);
+        if (index === -1) index = used.push(cell.materialIndex) - 1;
+        return [cell.q, cell.r, cell.y, index];
+    });
+
+    return {
+        format: PREFAB_FORMAT,
+        version: PREFAB_FORMAT_VERSION,
+        name,
+        palette: used.map(index => Object.assign({}, MATERIALS[index])),
+        cells: packed
+    };
+}
+
+/**
+ * Validate a prefab document without touching this world's palette. `doc`
+ * is a clean copy in the current format that carries its own palette (only
+ * the materials its cells use); malformed cells are dropped and counted.
+ */
+function checkPrefabDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== PREFAB_FORMAT) {
+        throw new Error('Not a HexCraft prefab');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > PREFAB_FORMAT_VERSION) {
+        throw new Error(`Unsupported prefab format version ${doc.version}`);
+    }
+    if (!Array.isArray(doc.cells) || !Array.isArray(doc.palette)) {
+        throw new Error('Prefab has no cells');
+    }
+    if (doc.cells.length > MAX_PREFAB_BLOCKS) {
+        throw new Error(`Prefab has more than ${MAX_PREFAB_BLOCKS} blocks`);
+    }
+
+    const materials = doc.palette.map(normalizeMaterial);
+    const palette = [];
+    const paletteMap = [];      // Document palette index -> index in the copy
+    const cells = [];
+    let skipped = 0;
+
+    doc.cells.forEach(cell => {
+        const valid = Array.isArray(cell) && cell.length === 4 && cell.every(Number.isInteger) &&
+            cell[2] >= 0 && cell[2] < CONFIG.maxHeight && Boolean(materials[cell[3]]);
+        if (!valid) {
+            skipped++;
+            return;
+        }
+        if (paletteMap[cell[3]] === undefined) paletteMap[cell[3]] = palette.push(materials[cell[3]]) - 1;
+        cells.push([cell[0], cell[1], cell[2], paletteMap[cell[3]]]);
+    });
+
+    return {
+        doc: {
+            format: PREFAB_FORMAT,
+            version: PREFAB_FORMAT_VERSION,
+            name: typeof doc.name === 'string' && doc.name.trim() ? doc.name.trim().slice(0, 40) : 'Prefab',
+            palette,
+            cells
+        },
+        skipped
+    };
+}
+
+/**
+ * Validate a prefab document and resolve its cells against the current
+ * palette. Cells with unknown materials are dropped and counted, unless
+ * `adopt` is set: then those materials are returned in `materials` and
+ * their cells use the indices they will take once appended to MATERIALS.
+ */
+function readPrefabDocument(doc, adopt = false) {
+    const { doc: prefab, skipped: malformed } = checkPrefabDocument(doc);
+    const materialMap = resolvePalette(prefab.palette);
+    const materials = [];
+    const cells = [];
+    let skipped = malformed;
+
+    if (adopt) {
+        prefab.palette.forEach((mat, index) => {
+            if (materialMap[index] !== undefined) return;
+            const same = materials.findIndex(other => other.name === mat.name);
+            if (same !== -1) {
+                materialMap[index] = MATERIALS.length + same;
+            } else if (MATERIALS.length + materials.length < MAX_MATERIALS) {
+                materialMap[index] = MATERIALS.length + materials.push(mat) - 1;
+            }
+        });
+    }
+
+    prefab.cells.forEach(([q, r, y, index]) => {
+        const materialIndex = materialMap[index];
+        if (materialIndex === undefined) {
+            skipped++;
+            return;
+        }
+        cells.push({ q, r, y, materialIndex });
+    });
+
+    return { name: prefab.name, cells, skipped, materials };
+}
+
+function createPrefabId() {
+    return 'prefab-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function listPrefabs() {
+    // Built-ins still show up when IndexedDB is unavailable
+    return dbRequest(PREFAB_STORE, 'readonly', store => store.getAll())
+        .catch(() => [])
+        .then(records => BUILTIN_PREFABS.concat(records.sort((a, b) => a.createdAt - b.createdAt)));
+}
+
+function putPrefab(doc) {
+    const record = Object.assign({}, doc, { id: createPrefabId(), createdAt: Date.now() });
+    delete record.builtin;
+    return dbRequest(PREFAB_STORE, 'readwrite', store => store.put(record)).then(() => record);
+}
+
+function deletePrefab(id) {
+    return dbRequest(PREFAB_STORE, 'readwrite', store => store.delete(id));
+}
+
+function saveSelectionAsPrefab(name) {
+    // The selection wins; otherwise whatever was last copied
+    const cells = STATE.selection ? getRegionBlocks(getSelectionRegion(STATE.selection)) : STATE.clipboard;
+    if (!cells || cells.length === 0) {
+        showToast('Select or copy some blocks to save as a prefab', 'warning');
+        return Promise.resolve(null);
+    }
+
+    const doc = createPrefabDocument(name.trim() || 'Prefab', cells);
+    return putPrefab(doc)
+        .then(record => {
+            showToast(`Saved prefab "${record.name}" (${cells.length} blocks)`, 'success');
+            refreshPrefabList();
+            return record;
+        })
+        .catch(err => {
+            showToast(`Could not save prefab: ${err.message}`, 'error');
+            return null;
+        });
+}
+
+function stampPrefab(doc) {
+    if (guardReadOnly()) return;
+    let prefab;
+    try {
+        // Materials this world's palette lacks come along when the stamp is
+        // placed; not while collaborating, since palettes aren't synced
+        prefab = readPrefabDocument(doc, collab.status === 'offline');
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    if (prefab.skipped > 0) {
+        showToast(`${prefab.skipped} blocks of "${prefab.name}" use unknown materials`, 'warning');
+    }
+    startFloating(prefab.cells, 'Stamp', [], prefab.materials);
+    if (STATE.floating) {
+        showToast(`Click to stamp ${prefab.name} - R rotate, T mirror, Esc cancel`, 'info');
+    }
+}
+
+function exportPrefab(doc) {
+    let file;
+    try {
+        // The prefab's own palette goes along, whatever this world's has
+        file = checkPrefabDocument(doc).doc;
+    } catch (err) {
+        showToast(`Could not export prefab: ${err.message}`, 'error');
+        return;
+    }
+    const slug = file.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadBlob(new Blob([JSON.stringify(file)], { type: 'application/json' }),
+        `${slug || 'prefab'}.hexprefab.json`);
+}
+
+function isPrefabFileName(fileName) {
+    return /\.hexprefab(\.json)?$/i.test(fileName);
+}
+
+function importPrefabFile(file) {
+    return file.text()
+        .then(text => {
+            let doc;
+            try {
+                doc = JSON.parse(text);
+            } catch (err) {
+                throw new Error('File is not valid JSON');
+            }
+            // Stored with its own palette; stamping resolves it against the world's
+            const { doc: prefab, skipped } = checkPrefabDocument(doc);
+            if (prefab.cells.length === 0) {
+                throw new Error('Prefab has no usable blocks');
+            }
+            return putPrefab(prefab).then(record => {
+                const note = skipped ? `; skipped ${skipped} malformed blocks` : '';
+                showToast(`Imported prefab "${record.name}"${note}`, skipped ? 'warning' : 'success');
+                showSidebarTab('prefabs');
+                refreshPrefabList();
+            });
+        })
+        .catch(err => showToast(`Could not import ${file.name}: ${err.message}`, 'error', 5000));
+}
+
+function openPrefabImportPicker() {
+    const input = document.getElementById('prefab-file-input');
+    if (!input) return;
+    input.value = '';
+    input.click();
+}
+
+function showSidebarTab(tab) {
+    const sidebar = document.getElementById('material-sidebar');
+    if (!sidebar) return;
+
+    sidebar.classList.toggle('prefabs-open', tab === 'prefabs');
+    sidebar.querySelectorAll('[data-tab]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    if (tab === 'prefabs') refreshPrefabList();
+}
+
+function refreshPrefabList() {
+    const list = document.getElementById('prefab-list');
+    if (!list) return;
+
+    listPrefabs().then(prefabs => {
+        list.innerHTML = '';
+        // One damaged record shouldn't hide the rest
+        let unreadable = 0;
+        prefabs.forEach(prefab => {
+            try {
+                list.appendChild(createPrefabListItem(prefab));
+            } catch (err) {
+                unreadable++;
+            }
+        });
+        if (unreadable > 0) showToast(`Skipped ${unreadable} unreadable prefabs`, 'warning');
+    }).catch(err => {
+        list.innerHTML = '';
+        showToast(`Could not list prefabs: ${err.message}`, 'error');
+    });
+}
+
+function drawPrefabThumbnail(canvas, doc) {
+    // Drawn in the prefab's own colors, so materials this world lacks still show
+    const { cells, palette } = checkPrefabDocument(doc).doc;
+    const blocks = new Map(cells.map(([q, r, y, index]) => [getBlockKey(q, r, y), index]));
+    const radius = cells.reduce((max, [q, r]) => Math.max(max, hexDistance(0, 0, q, r)), 1);
+    drawTerrainPreview(canvas, blocks, radius, palette);
+}
+
+function createPrefabListItem(prefab) {
+    const item = document.createElement('div');
+    item.className = 'prefab-item';
+    item.title = `Stamp ${prefab.name}`;
+
+    const thumb = document.createElement('canvas');
+    thumb.className = 'prefab-thumb';
+    thumb.width = 64;
+    thumb.height = 64;
+    drawPrefabThumbnail(thumb, prefab);
+    thumb.onclick = () => stampPrefab(prefab);
+    item.appendChild(thumb);
+
+    const name = document.createElement('div');
+    name.className = 'prefab-name';
+    name.textContent = prefab.name;
+    item.appendChild(name);
+
+    const actions = document.createElement('div');
+    actions.className = 'prefab-actions';
+    const addAction = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.className = 'tool-btn';
+        btn.textContent = label;
+        btn.onclick = handler;
+        actions.appendChild(btn);
+    };
+
+    addAction('Export', () => exportPrefab(prefab));
+    if (!prefab.builtin) {
+        addAction('Delete', () => deletePrefab(prefab.id)
+            .then(refreshPrefabList)
+            .catch(err => showToast(`Delete failed: ${err.message}`, 'error')));
+    }
+    item.appendChild(actions);
+
+    return item;
+}
+
+// ============================================================================
+// Simulation
+// ============================================================================
+
+const SIM_SPEEDS = [0.5, 1, 2, 4];
+const fireAges = new Map();     // "q,r,y" -> ticks the fire has burned
+let simRunId = 0;               // Ticks of one play session share an undo step
+let simAccumulator = 0;
+let simLastTime = performance.now();
+
+// -1 when the palette has no material of that name
+function findMaterialIndex(name, palette = MATERIALS) {
+    return palette.findIndex(m => m.name === name);
+}
+
+function getBehavior(materialIndex) {
+    const material = MATERIALS[materialIndex];
+    return material ? material.behavior : null;
+}
+
+function stepSimulation() {
+    // Rules read and write a working copy so every block sees the same tick
+    const next = new Map(STATE.blocks);
+    const settled = new Set();  // Cells already written this tick
+    const stoneIndex = findMaterialIndex('Stone');
+
+    // Bottom-up so falling columns collapse in a single tick
+    const cells = Array.from(STATE.blocks, ([key, materialIndex]) => {
+        const [q, r, y] = parseBlockKey(key);
+        return { key, q, r, y, materialIndex };
+    }).sort((a, b) => a.y - b.y);
+
+    const move = (from, toKey, materialIndex) => {
+        next.delete(from);
+        next.set(toKey, materialIndex);
+        settled.add(toKey);
+    };
+
+    for (const { key, q, r, y, materialIndex } of cells) {
+        if (settled.has(key) || next.get(key) !== materialIndex) continue;
+
+        const below = getBlockKey(q, r, y - 1);
+        const canFall = y > 0 && !next.has(below);
+
+        switch (getBehavior(materialIndex)) {
+            case 'falls':
+                if (canFall) move(key, below, materialIndex);
+                break;
+
+            case 'flows': {
+                if (canFall) {
+                    move(key, below, materialIndex);
+                    break;
+                }
+                // Spread, don't wander: step sideways over an edge, or off
+                // the top of a deeper pool onto solid ground. Water lying one
+                // deep on solid ground stays put, so pools come to rest.
+                // Rotate the starting direction each tick so spills don't
+                // always go one way.
+                const onWater = getBehavior(next.get(below)) === 'flows';
+                let spill = null;
+                for (let i = 0; i < HEX_DIRECTIONS.length; i++) {
+                    const [dq, dr] = HEX_DIRECTIONS[(i + STATE.simTick) % HEX_DIRECTIONS.length];
+                    const sq = q + dq;
+                    const sr = r + dr;
+                    const side = getBlockKey(sq, sr, y);
+                    if (next.has(side) || hexDistance(0, 0, sq, sr) > CONFIG.gridSize) continue;
+
+                    const under = next.get(getBlockKey(sq, sr, y - 1));
+                    if (y > 0 && under === undefined) {
+                        spill = side;
+                        break;
+                    }
+                    if (spill === null && onWater && getBehavior(under) !== 'flows') spill = side;
+                }
+                if (spill !== null) move(key, spill, materialIndex);
+                break;
+            }
+
+            case 'converts_water':
+                // A palette without stone has nothing to turn water into
+                if (stoneIndex === -1) break;
+                getNeighborKeys(q, r, y).forEach(neighbor => {
+                    if (getBehavior(next.get(neighbor)) === 'flows') {
+                        next.set(neighbor, stoneIndex);
+                        settled.add(neighbor);
+                    }
+                });
+                break;
+
+            case 'destroys': {
+                getNeighborKeys(q, r, y).forEach(neighbor => {
+                    const fuel = MATERIALS[next.get(neighbor)];
+                    if (fuel && fuel.flammable) {
+                        next.set(neighbor, materialIndex);
+                        fireAges.set(neighbor, 0);
+                        settled.add(neighbor);
+                    }
+                });
+
+                const age = (fireAges.get(key) || 0) + 1;
+                if (age >= CONFIG.fireLifetime) {
+                    next.delete(key);
+                    fireAges.delete(key);
+                } else {
+                    fireAges.set(key, age);
+                }
+                break;
+            }
+        }
+    }
+
+    STATE.simTick++;
+    return applySimulationResult(next);
+}
+
+function applySimulationResult(next) {
+    let changed = false;
+
+    for (const key of STATE.blocks.keys()) {
+        if (!next.has(key)) {
+            const [q, r, y] = parseBlockKey(key);
+            removeBlock(q, r, y, false);
+            changed = true;
+        }
+    }
+
+    for (const [key, materialIndex] of next) {
+        const current = STATE.blocks.get(key);
+        if (current === materialIndex) continue;
+
+        const [q, r, y] = parseBlockKey(key);
+        if (current !== undefined) removeBlock(q, r, y, false);
+        addBlock(q, r, y, materialIndex, false);
+        changed = true;
+    }
+
+    // Forget fires that were removed or replaced by other means
+    for (const key of fireAges.keys()) {
+        if (getBehavior(STATE.blocks.get(key)) !== 'destroys') {
+            fireAges.delete(key);
+        }
+    }
+
+    if (changed) saveState('Simulation', `sim-${simRunId}`);
+    return changed;
+}
+
+function updateSimulation() {
+    const now = performance.now();
+    const elapsed = now - simLastTime;
+    simLastTime = now;
+
+    // Wait out a held stroke: a tick would save the stroke's pending
+    // cells into its own "Simulation" undo step
+    if (!STATE.simRunning || STATE.stroke) return;
+
+    simAccumulator += elapsed * STATE.simSpeed;
+
+    let steps = 0;
+    while (simAccumulator >= CONFIG.simTickMs && steps < CONFIG.simMaxStepsPerFrame) {
+        simAccumulator -= CONFIG.simTickMs;
+        stepSimulation();
+        steps++;
+    }
+
+    // Drop the backlog rather than fast-forwarding after a stall
+    if (steps === CONFIG.simMaxStepsPerFrame) {
+        simAccumulator = 0;
+    }
+}
+
+// The simulation waits while a paste or move floats; its ticks would
+// commit the lifted blocks' removal on their own
+function guardFloating() {
+    if (!STATE.floating) return false;
+    showToast('Place or cancel first (Esc)', 'warning');
+    return true;
+}
+
+function toggleSimulation() {
+    if (!STATE.simRunning && (guardFloating() || guardReadOnly())) return;
+    STATE.simRunning = !STATE.simRunning;
+    simAccumulator = 0;
+    simRunId++;
+    audio.playSelect();
+    updateSimulationUI();
+}
+
+function stepSimulationOnce() {
+    if (STATE.stroke || guardFloating() || guardReadOnly()) return;
+    STATE.simRunning = false;
+    simRunId++;
+    stepSimulation();
+    audio.playSelect();
+    updateSimulationUI();
+}
+
+function changeSimulationSpeed(delta) {
+    const index = SIM_SPEEDS.indexOf(STATE.simSpeed);
+    const nextIndex = Math.max(0, Math.min(SIM_SPEEDS.length - 1, index + delta));
+    STATE.simSpeed = SIM_SPEEDS[nextIndex];
+    audio.playSelect();
+    updateSimulationUI();
+}
+
+function cycleSimulationSpeed() {
+    const index = SIM_SPEEDS.indexOf(STATE.simSpeed);
+    STATE.simSpeed = SIM_SPEEDS[(index + 1) % SIM_SPEEDS.length];
+    audio.playSelect();
+    updateSimulationUI();
+}
+
+// ============================================================================
+// History (Undo/Redo)
+// ============================================================================
+
+// Edits are recorded as they happen by addBlock()/removeBlock() and
+// committed as one history entry per user action by saveState(). Each entry
+// stores only the cells it touched, as [key, before, after] with null for
+// an empty cell, so undo and redo replay just that diff.
+
+function recordChange(key, before, after) {
+    if (STATE.applyingHistory || STATE.applyingRemote) return;
+
+    const pending = STATE.pendingChanges.get(key);
+    if (!pending) {
+        STATE.pendingChanges.set(key, { before, after });
+    } else if (pending.before === after) {
+        STATE.pendingChanges.delete(key);
+    } else {
+        pending.after = after;
+    }
+}
+
+/**
+ * Commit the pending changes as one undo step. Consecutive commits with
+ * the same `group` (e.g. the ticks of one simulation run) merge into a
+ * single entry.
+ */
+function saveState(label = 'Edit', group = null) {
+    if (STATE.pendingChanges.size === 0) return;
+
+    const changes = Array.from(STATE.pendingChanges, ([key, change]) => [key, change.before, change.after]);
+    STATE.pendingChanges.clear();
+
+    // Remove future entries if we're not at the end
+    STATE.history.length = STATE.historyIndex + 1;
+
+    const top = STATE.history[STATE.historyIndex];
+    if (group && top && top.group === group) {
+        top.changes = mergeChanges(top.changes, changes);
+    } else {
+        STATE.history.push({ label, group, changes });
+        STATE.historyIndex = STATE.history.length - 1;
+    }
+
+    scheduleAutosave();
+}
+
+function mergeChanges(first, second) {
+    const merged = new Map(first.map(([key, before, after]) => [key, { before, after }]));
+    second.forEach(([key, before, after]) => {
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { before, after });
+        } else if (existing.before === after) {
+            merged.delete(key);
+        } else {
+            existing.after = after;
+        }
+    });
+    return Array.from(merged, ([key, change]) => [key, change.before, change.after]);
+}
+
+// Another player's write to these cells outranks local history: undo must
+// not put back what was there before it, so they leave every step (and the
+// open one), and steps left with nothing to do go too
+function dropHistoryOf(keys) {
+    keys.forEach(key => STATE.pendingChanges.delete(key));
+
+    const index = STATE.historyIndex;
+    STATE.history = STATE.history.filter((entry, i) => {
+        entry.changes = entry.changes.filter(([key]) => !keys.has(key));
+        if (entry.changes.length > 0) return true;
+        if (i <= index) STATE.historyIndex--;
+        return false;
+    });
+}
+
+function applyHistoryChanges(changes, undoing) {
+    STATE.applyingHistory = true;
+    changes.forEach(([key, before, after]) => setBlockAt(key, undoing ? before : after));
+    STATE.applyingHistory = false;
+}
+
+function undo() {
+    if (guardReadOnly()) return;
+    // Undo while something floats just drops it
+    if (STATE.floating) {
+        cancelFloating();
+        return;
+    }
+    // Close any half-finished edit first so it is what gets undone
+    saveState();
+    if (STATE.historyIndex < 0) return;
+    const entry = STATE.history[STATE.historyIndex];
+    applyHistoryChanges(entry.changes, true);
+    if (entry.materials) removeStampMaterials(entry);
+    STATE.historyIndex--;
+    audio.playSelect();
+    scheduleAutosave();
+}
+
+function redo() {
+    if (guardReadOnly()) return;
+    if (STATE.floating) return;
+    if (STATE.historyIndex >= STATE.history.length - 1) return;
+    STATE.historyIndex++;
+    const entry = STATE.history[STATE.historyIndex];
+    if (entry.materials) restoreStampMaterials(entry);
+    applyHistoryChanges(entry.changes, false);
+    audio.playSelect();
+    scheduleAutosave();
+}
+
+// A stamp's undo step carries the materials it added. Undo takes them back
+// off the palette while they are still its last entries and unused;
+// otherwise they stay for good and redo leaves the palette alone.
+function removeStampMaterials(entry) {
+    const base = MATERIALS.length - entry.materials.length;
+    const removable = base > 0 && collab.status === 'offline' &&
+        entry.materials.every((mat, i) => MATERIALS[base + i] === mat && countMaterialUse(base + i) === 0);
+    if (!removable) {
+        entry.materials = null;
+        return;
+    }
+
+    MATERIALS.length = base;
+    STATE.currentMaterial = Math.min(STATE.currentMaterial, base - 1);
+    editingMaterial = Math.min(editingMaterial, base - 1);
+    refreshMaterialUI();
+}
+
+function restoreStampMaterials(entry) {
+    entry.materials.forEach(mat => {
+        MATERIALS.push(mat);
+        refreshBlockMaterial(MATERIALS.length - 1);
+    });
+    refreshMaterialUI();
+}
+
+// Redoing a stamp appends its materials again, which needs the palette as
+// the undo left it; a palette edit in between drops such redo steps
+function dropStampRedo() {
+    if (STATE.history.slice(STATE.historyIndex + 1).some(entry => entry.materials)) {
+        STATE.history.length = STATE.historyIndex + 1;
+    }
+}
+
+function resetHistory() {
+    STATE.history = [];
+    STATE.historyIndex = -1;
+    STATE.pendingChanges.clear();
+    scheduleAutosave();
+}
+
+function serializeHistory() {
+    return {
+        index: STATE.historyIndex,
+        entries: STATE.history.map(({ label, changes }) => ({ label, changes }))
+    };
+}
+
+function loadState(snapshot) {
+    // Apply only the difference so unchanged blocks keep their instances
+    for (const key of Array.from(STATE.blocks.keys())) {
+        if (!snapshot.has(key)) setBlockAt(key, null);
+    }
+    for (const [key, materialIndex] of snapshot) {
+        setBlockAt(key, materialIndex);
+    }
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+const DB_NAME = 'hexcraft';
+const DB_VERSION = 2;
+const WORLD_STORE = 'worlds';
+const PREFAB_STORE = 'prefabs';
+const AUTOSAVE_ID = 'autosave';
+
+let dbPromise = null;
+let autosaveTimer = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(WORLD_STORE)) {
+                db.createObjectStore(WORLD_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(PREFAB_STORE)) {
+                db.createObjectStore(PREFAB_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    return dbPromise;
+}
+
+function dbRequest(storeName, mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+function listWorlds() {
+    return dbRequest(WORLD_STORE, 'readonly', store => store.getAll())
+        .then(records => records.sort((a, b) => b.updatedAt - a.updatedAt));
+}
+
+function getWorld(id) {
+    return dbRequest(WORLD_STORE, 'readonly', store => store.get(id));
+}
+
+function putWorld(record) {
+    return dbRequest(WORLD_STORE, 'readwrite', store => store.put(record));
+}
+
+function deleteWorld(id) {
+    return dbRequest(WORLD_STORE, 'readwrite', store => store.delete(id));
+}
+
+function createWorldId() {
+    return 'world-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function serializeWorld() {
+    // Save slots keep the undo history so it survives a reload
+    const doc = createWorldDocument();
+    doc.history = serializeHistory();
+    return doc;
+}
+
+function applyWorld(data) {
+    const world = readWorldDocument(data);
+    if (STATE.readOnly) setReadOnly(false);
+    // Opening another world mid-session would overwrite the room for everyone,
+    // and while joining the welcome would replace it; the room's own world
+    // arrives as a remote edit
+    if (collab.status !== 'offline' && !STATE.applyingRemote) leaveCollab();
+    if (!isCurrentPalette(world.palette)) {
+        setWorldPalette(world.palette);
+    }
+    loadState(world.blocks);
+    resetHistory();
+
+    if (world.history) {
+        STATE.history = world.history.entries;
+        STATE.historyIndex = world.history.index;
+    }
+
+    if (world.camera) {
+        if (STATE.mode !== 'orbit') setMode('orbit');
+        camera.position.fromArray(world.camera.position);
+        controls.target.fromArray(world.camera.target);
+        controls.update();
+    }
+
+    // Worlds saved before lighting was stored get the default noon
+    applyLightingSettings(world.lighting);
+    setBookmarks(world.bookmarks);
+    return world;
+}
+
+function captureThumbnail() {
+    // The headset owns the frame while presenting; callers keep the old picture
+    if (vr.session) return null;
+
+    // Render on demand so the drawing buffer is still valid when copied
+    const wasVisible = highlightMesh.visible;
+    highlightMesh.visible = false;
+    renderer.render(scene, camera);
+    highlightMesh.visible = wasVisible;
+
+    const source = renderer.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = CONFIG.thumbnailWidth;
+    canvas.height = CONFIG.thumbnailHeight;
+
+    // Center-crop to the thumbnail aspect ratio
+    const aspect = canvas.width / canvas.height;
+    let sw = source.width;
+    let sh = source.width / aspect;
+    if (sh > source.height) {
+        sh = source.height;
+        sw = source.height * aspect;
+    }
+    canvas.getContext('2d').drawImage(
+        source, (source.width - sw) / 2, (source.height - sh) / 2, sw, sh,
+        0, 0, canvas.width, canvas.height
+    );
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+// previous: the record this one replaces, if any
+function createWorldRecord(id, name, previous) {
+    const now = Date.now();
+    return {
+        id,
+        name,
+        createdAt: (previous && previous.createdAt) || now,
+        updatedAt: now,
+        blockCount: STATE.blocks.size,
+        thumbnail: captureThumbnail() || (previous ? previous.thumbnail : null),
+        data: serializeWorld()
+    };
+}
+
+function scheduleAutosave() {
+    if (!STATE.autosaveReady || !CONFIG.persistence || STATE.readOnly) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(writeAutosave, CONFIG.autosaveDelay);
+}
+
+function writeAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    // A shared world on view never takes the autosave slot
+    if (STATE.readOnly) return Promise.resolve();
+
+    const record = createWorldRecord(AUTOSAVE_ID, STATE.worldName);
+    record.sourceId = STATE.worldId;
+    // Without a picture (in VR) the slot keeps the one it has
+    const previous = record.thumbnail ? Promise.resolve(null) : getWorld(AUTOSAVE_ID);
+    return previous
+        .then(slot => {
+            if (slot) record.thumbnail = slot.thumbnail;
+            return putWorld(record);
+        })
+        .catch(err => console.warn('Autosave failed:', err));
+}
+
+function flushAutosave() {
+    if (autosaveTimer) writeAutosave();
+}
+
+function saveWorld(name) {
+    STATE.worldName = name || STATE.worldName;
+    const existing = STATE.worldId ? getWorld(STATE.worldId) : Promise.resolve(null);
+
+    return existing.then(previous => {
+        const id = previous ? previous.id : createWorldId();
+        const record = createWorldRecord(id, STATE.worldName, previous);
+        return putWorld(record).then(() => {
+            STATE.worldId = id;
+            showToast(`Saved "${record.name}"`, 'success');
+            writeAutosave();
+        });
+    }).catch(err => showToast(`Save failed: ${err.message}`, 'error'));
+}
+
+function saveWorldAs(name) {
+    STATE.worldId = null;
+    return saveWorld(name);
+}
+
+function loadWorld(id) {
+    return getWorld(id).then(record => {
+        if (!record) throw new Error('Save slot not found');
+
+        applyWorld(record.data);
+        STATE.worldId = record.id === AUTOSAVE_ID ? (record.sourceId || null) : record.id;
+        STATE.worldName = record.name;
+        showToast(`Loaded "${record.name}"`, 'success');
+    }).catch(err => showToast(`Load failed: ${err.message}`, 'error'));
+}
+
+function renameWorld(id, name) {
+    return getWorld(id).then(record => {
+        if (!record) throw new Error('Save slot not found');
+
+        record.name = name;
+        record.updatedAt = Date.now();
+        if (STATE.worldId === id) STATE.worldName = name;
+        return putWorld(record);
+    });
+}
+
+function duplicateWorld(id) {
+    return getWorld(id).then(record => {
+        if (!record) throw new Error('Save slot not found');
+
+        const now = Date.now();
+        return putWorld(Object.assign({}, record, {
+            id: createWorldId(),
+            name: `${record.name} (copy)`,
+            createdAt: now,
+            updatedAt: now
+        }));
+    });
+}
+
+function removeWorld(id) {
+    return deleteWorld(id).then(() => {
+        if (STATE.worldId === id) STATE.worldId = null;
+    });
+}
+
+function restoreOrStart() {
+    // A share link wins over the restore prompt; the autosave stays put
+    const fragment = getShareFragment();
+    if (fragment !== null) {
+        openSharedWorld(fragment).catch(() => restoreOrStart());
+        return;
+    }
+
+    if (!CONFIG.persistence) {
+        startNewWorld();
+        return;
+    }
+
+    getWorld(AUTOSAVE_ID).then(record => {
+        if (record && record.data && record.data.blocks.length > 0) {
+            showRestorePrompt(record);
+        } else {
+            startNewWorld();
+        }
+    }).catch(err => {
+        console.warn('Could not read autosave:', err);
+        startNewWorld();
+    });
+}
+
+function startNewWorld() {
+    if (STATE.readOnly) setReadOnly(false);
+    if (collab.status !== 'offline') leaveCollab();
+    setWorldPalette(DEFAULT_MATERIALS);
+    applyLightingSettings(DEFAULT_LIGHTING);
+    setBookmarks([]);
+    resetHistory();
+    STATE.worldId = null;
+    STATE.worldName = 'Untitled World';
+    STATE.autosaveReady = true;
+    createStarterBlocks();
+
+    // The manifest's "New Canvas" shortcut opens ./?action=new
+    if (new URLSearchParams(window.location.search).get('action') === 'new') {
+        openNewWorldDialog();
+    }
+    openCollabInvite();
+}
+
+function showRestorePrompt(record) {
+    const overlay = document.getElementById('restoreOverlay');
+    if (!overlay) {
+        startNewWorld();
+        return;
+    }
+
+    const thumb = document.getElementById('restore-thumbnail');
+    if (thumb) thumb.src = record.thumbnail || '';
+    const info = document.getElementById('restore-info');
+    if (info) {
+        info.textContent = `"${record.name}" - ${record.blockCount} blocks, ` +
+            `autosaved ${new Date(record.updatedAt).toLocaleString()}`;
+    }
+
+    const finish = restore => {
+        overlay.classList.remove('active');
+        STATE.autosaveReady = true;
+        if (restore) {
+            applyWorld(record.data);
+            STATE.worldId = record.sourceId || null;
+            STATE.worldName = record.name;
+            openCollabInvite();
+        } else {
+            startNewWorld();
+        }
+    };
+
+    document.getElementById('restore-btn').onclick = () => finish(true);
+    document.getElementById('restore-new-btn').onclick = () => finish(false);
+    overlay.classList.add('active');
+}
+
+// ============================================================================
+// World Files
+// ============================================================================
+
+// JSON documents and the binary format share one logical layout:
+// metadata, the material palette, the camera pose and the blocks keyed by
+// "q,r,y". Bump WORLD_FORMAT_VERSION when that layout changes and teach
+// readWorldDocument() to upgrade the older shape.
+const WORLD_FORMAT = 'hexcraft-world';
+const WORLD_FORMAT_VERSION = 1;
+const BINARY_MAGIC = [0x48, 0x58, 0x57];   // "HXW", followed by a version byte
+const BLOCK_KEY_PATTERN = /^-?\d+,-?\d+,-?\d+$/;
+const MAX_REPORTED_PROBLEMS = 5;
+
+function createWorldDocument() {
+    return {
+        format: WORLD_FORMAT,
+        version: WORLD_FORMAT_VERSION,
+        metadata: {
+            name: STATE.worldName,
+            app: 'HexCraft 3D',
+            savedAt: new Date().toISOString(),
+            blockCount: STATE.blocks.size
+        },
+        palette: MATERIALS.map(mat => Object.assign({}, mat)),
+        camera: {
+            position: getDesktopCameraPosition().toArray(),
+            target: controls.target.toArray()
+        },
+        lighting: getLightingSettings(),
+        bookmarks: STATE.bookmarks,
+        blocks: Array.from(STATE.blocks)
+    };
+}
+
+/**
+ * Validate a world document and resolve it against the current palette.
+ * Structural problems throw; bad individual blocks are skipped and listed
+ * in `problems` so a partly damaged file still loads what it can.
+ */
+function readWorldDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Not a world document');
+    }
+
+    // Slots saved before the format was versioned carry only blocks and camera
+    const version = doc.format === undefined ? 0 : doc.version;
+    if (version !== 0 && doc.format !== WORLD_FORMAT) {
+        throw new Error('Not a HexCraft world file');
+    }
+    if (!Number.isInteger(version) || version > WORLD_FORMAT_VERSION) {
+        throw new Error(`Unsupported world format version ${doc.version}`);
+    }
+    if (!Array.isArray(doc.blocks)) {
+        throw new Error('World has no block list');
+    }
+
+    const problems = [];
+    const counts = { key: 0, height: 0, material: 0 };
+    const report = (kind, message) => {
+        counts[kind]++;
+        if (problems.length < MAX_REPORTED_PROBLEMS) problems.push(message);
+    };
+
+    // Each world carries its own palette; slots from before that use the defaults
+    const { palette, materialMap } = readPalette(Array.isArray(doc.palette) ? doc.palette : DEFAULT_MATERIALS);
+    const blocks = new Map();
+
+    doc.blocks.forEach(entry => {
+        const [key, index] = Array.isArray(entry) ? entry : [];
+
+        if (typeof key !== 'string' || !BLOCK_KEY_PATTERN.test(key)) {
+            report('key', `Bad block key ${JSON.stringify(key)}`);
+            return;
+        }
+
+        const [q, r, y] = parseBlockKey(key);
+        if (y < 0 || y >= CONFIG.maxHeight) {
+            report('height', `Block ${key} is outside layers 0-${CONFIG.maxHeight - 1}`);
+            return;
+        }
+
+        const materialIndex = Number.isInteger(index) ? materialMap[index] : undefined;
+        if (materialIndex === undefined) {
+            report('material', `Block ${key} uses unknown material ${JSON.stringify(index)}`);
+            return;
+        }
+
+        blocks.set(getBlockKey(q, r, y), materialIndex);
+    });
+
+    const camera = doc.camera && isVector(doc.camera.position) && isVector(doc.camera.target)
+        ? { position: doc.camera.position, target: doc.camera.target }
+        : null;
+
+    const lighting = doc.lighting && Number.isFinite(doc.lighting.time) &&
+        doc.lighting.time >= 0 && doc.lighting.time < 24
+        ? { time: doc.lighting.time, cycle: doc.lighting.cycle === true }
+        : null;
+
+    // History is only trusted when it loaded without losing any blocks
+    const skipped = counts.key + counts.height + counts.material;
+    const history = doc.history && skipped === 0 ? readHistory(doc.history, materialMap) : null;
+
+    return {
+        name: doc.metadata && typeof doc.metadata.name === 'string' ? doc.metadata.name : null,
+        palette,
+        blocks,
+        camera,
+        lighting,
+        bookmarks: readBookmarks(doc.bookmarks),
+        history,
+        counts,
+        problems,
+        skipped
+    };
+}
+
+function readHistory(history, materialMap) {
+    if (!Array.isArray(history.entries) || !Number.isInteger(history.index) ||
+        history.index < -1 || history.index >= history.entries.length) {
+        return null;
+    }
+
+    const resolve = index => (index === null ? null : materialMap[index]);
+    const entries = [];
+
+    for (const entry of history.entries) {
+        if (!entry || !Array.isArray(entry.changes)) return null;
+
+        const changes = [];
+        for (const change of entry.changes) {
+            if (!Array.isArray(change) || !BLOCK_KEY_PATTERN.test(change[0])) return null;
+            const before = resolve(change[1]);
+            const after = resolve(change[2]);
+            if (before === undefined || after === undefined) return null;
+            changes.push([change[0], before, after]);
+        }
+        entries.push({ label: String(entry.label || 'Edit'), group: null, changes });
+    }
+
+    return { index: history.index, entries };
+}
+
+function readPalette(entries) {
+    // Invalid entries are dropped; blocks using them are reported as unknown
+    const palette = [];
+    const materialMap = entries.map(entry => {
+        const mat = normalizeMaterial(completePaletteEntry(entry));
+        if (!mat || palette.length >= MAX_MATERIALS) return undefined;
+        return palette.push(mat) - 1;
+    });
+
+    if (palette.length === 0) {
+        throw new Error('World palette has no valid materials');
+    }
+    return { palette, materialMap };
+}
+
+function completePaletteEntry(entry) {
+    // Hand-written or older files may name a built-in material without
+    // spelling out all of its fields
+    if (!entry) return entry;
+    const known = DEFAULT_MATERIALS.find(mat => mat.name === entry.name) ||
+        MATERIALS.find(mat => mat.name === entry.name);
+    if (!known) return entry;
+
+    const color = HEX_COLOR_PATTERN.test(entry.color) ? entry.color : known.color;
+    return Object.assign({}, MATERIAL_DEFAULTS, known, entry, { color });
+}
+
+function resolvePalette(palette) {
+    // Map file palette indices to ours by name, then by color
+    return palette.map(entry => {
+        if (!entry) return undefined;
+        let index = MATERIALS.findIndex(mat => mat.name === entry.name);
+        if (index === -1) {
+            index = MATERIALS.findIndex(mat => mat.color.toLowerCase() === String(entry.color).toLowerCase());
+        }
+        return index === -1 ? undefined : index;
+    });
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Binary layout (little endian):
+//   "HXW" + version byte, uint32 header length, UTF-8 JSON header
+//   (metadata, palette, camera, lighting, bookmarks), uint32 column count, then per column:
+//   int16 q, int16 r, uint8 run count and runs of
+//   (uint8 start y, uint8 length, uint8 material).
+function encodeWorldBinary(doc) {
+    const header = new TextEncoder().encode(JSON.stringify({
+        metadata: doc.metadata,
+        palette: doc.palette,
+        camera: doc.camera,
+        lighting: doc.lighting,
+        bookmarks: doc.bookmarks
+    }));
+
+    // Group blocks into vertical columns of same-material runs
+    const columns = new Map();
+    doc.blocks.forEach(([key, materialIndex]) => {
+        const [q, r, y] = parseBlockKey(key);
+        const columnKey = `${q},${r}`;
+        if (!columns.has(columnKey)) columns.set(columnKey, { q, r, cells: [] });
+        columns.get(columnKey).cells.push([y, materialIndex]);
+    });
+
+    const encoded = [];
+    let size = 4 + 4 + header.length + 4;
+    for (const column of columns.values()) {
+        column.cells.sort((a, b) => a[0] - b[0]);
+        const runs = [];
+        column.cells.forEach(([y, materialIndex]) => {
+            const last = runs[runs.length - 1];
+            if (last && last.y + last.length === y && last.material === materialIndex && last.length < 255) {
+                last.length++;
+            } else {
+                runs.push({ y, length: 1, material: materialIndex });
+            }
+        });
+
+        // A column can hold at most 255 runs; split longer ones
+        for (let i = 0; i < runs.length; i += 255) {
+            const chunk = runs.slice(i, i + 255);
+            encoded.push({ q: column.q, r: column.r, runs: chunk });
+            size += 5 + chunk.length * 3;
+        }
+    }
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let offset = 0;
+
+    BINARY_MAGIC.forEach(b => view.setUint8(offset++, b));
+    view.setUint8(offset++, WORLD_FORMAT_VERSION);
+    view.setUint32(offset, header.length, true);
+    offset += 4;
+    bytes.set(header, offset);
+    offset += header.length;
+    view.setUint32(offset, encoded.length, true);
+    offset += 4;
+
+    encoded.forEach(column => {
+        view.setInt16(offset, column.q, true);
+        view.setInt16(offset + 2, column.r, true);
+        view.setUint8(offset + 4, column.runs.length);
+        offset += 5;
+        column.runs.forEach(run => {
+            view.setUint8(offset++, run.y);
+            view.setUint8(offset++, run.length);
+            view.setUint8(offset++, run.material);
+        });
+    });
+
+    return buffer;
+}
+
+function isWorldBinary(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, BINARY_MAGIC.length));
+    return bytes.length === BINARY_MAGIC.length && BINARY_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+function decodeWorldBinary(buffer) {
+    const view = new DataView(buffer);
+    let offset = BINARY_MAGIC.length;
+
+    const need = count => {
+        if (offset + count > buffer.byteLength) {
+            throw new Error('World file is truncated');
+        }
+    };
+
+    need(5);
+    const version = view.getUint8(offset++);
+    if (version > WORLD_FORMAT_VERSION) {
+        throw new Error(`Unsupported world format version ${version}`);
+    }
+
+    const headerLength = view.getUint32(offset, true);
+    offset += 4;
+    need(headerLength);
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset, headerLength)));
+    } catch (err) {
+        throw new Error('World file header is corrupt');
+    }
+    offset += headerLength;
+
+    need(4);
+    const columnCount = view.getUint32(offset, true);
+    offset += 4;
+
+    const blocks = [];
+    for (let c = 0; c < columnCount; c++) {
+        need(5);
+        const q = view.getInt16(offset, true);
+        const r = view.getInt16(offset + 2, true);
+        const runCount = view.getUint8(offset + 4);
+        offset += 5;
+
+        need(runCount * 3);
+        for (let i = 0; i < runCount; i++) {
+            const y = view.getUint8(offset++);
+            const length = view.getUint8(offset++);
+            const material = view.getUint8(offset++);
+            for (let k = 0; k < length; k++) {
+                blocks.push([getBlockKey(q, r, y + k), material]);
+            }
+        }
+    }
+
+    return Object.assign({ format: WORLD_FORMAT, version }, header, { blocks });
+}
+
+function parseWorldFile(buffer) {
+    if (isWorldBinary(buffer)) {
+        return decodeWorldBinary(buffer);
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(buffer));
+    } catch (err) {
+        throw new Error('File is neither a HexCraft binary world nor valid JSON');
+    }
+}
+
+function getWorldFileName(extension) {
+    const slug = STATE.worldName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'world'}.${extension}`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportWorldFile(binary) {
+    const doc = createWorldDocument();
+    if (binary) {
+        downloadBlob(new Blob([encodeWorldBinary(doc)], { type: 'application/octet-stream' }),
+            getWorldFileName('hexw'));
+    } else {
+        downloadBlob(new Blob([JSON.stringify(doc)], { type: 'application/json' }),
+            getWorldFileName('hexcraft.json'));
+    }
+    showToast(`Exported ${doc.blocks.length} blocks`, 'success');
+}
+
+function importWorldFile(file) {
+    return file.arrayBuffer()
+        .then(buffer => {
+            const world = applyWorld(parseWorldFile(buffer));
+            STATE.worldId = null;
+            STATE.worldName = world.name || file.name.replace(/\..*$/, '');
+            reportImport(world, file.name);
+        })
+        .catch(err => showToast(`Could not import ${file.name}: ${err.message}`, 'error', 5000));
+}
+
+function reportImport(world, fileName) {
+    if (world.skipped === 0) {
+        showToast(`Imported ${world.blocks.size} blocks from ${fileName}`, 'success');
+        return;
+    }
+
+    const reasons = [];
+    if (world.counts.material) reasons.push(`${world.counts.material} unknown material`);
+    if (world.counts.height) reasons.push(`${world.counts.height} out of range height`);
+    if (world.counts.key) reasons.push(`${world.counts.key} bad key`);
+
+    // Name the first few offenders so the file can be fixed
+    const more = world.skipped - world.problems.length;
+    const details = world.problems.join('; ') + (more > 0 ? `; and ${more} more` : '');
+    showToast(`Imported ${world.blocks.size} blocks; skipped ${world.skipped} ` +
+        `(${reasons.join(', ')}): ${details}`, 'warning', 10000);
+}
+
+function openImportPicker() {
+    const input = document.getElementById('world-file-input');
+    if (!input) return;
+    input.value = '';
+    input.click();
+}
+
+function setupFileDrop() {
+    const container = document.getElementById('canvas-container');
+    if (!container) return;
+
+    container.addEventListener('dragover', e => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        container.classList.add('drop-target');
+    });
+    container.addEventListener('dragleave', () => container.classList.remove('drop-target'));
+    container.addEventListener('drop', e => {
+        e.preventDefault();
+        container.classList.remove('drop-target');
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+        if (isPrefabFileName(file.name)) {
+            importPrefabFile(file);
+        } else {
+            importWorldFile(file);
+        }
+    });
+
+    const input = document.getElementById('world-file-input');
+    if (input) {
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                importWorldFile(input.files[0]).then(closeWorldsDialog);
+            }
+        });
+    }
+
+    const prefabInput = document.getElementById('prefab-file-input');
+    if (prefabInput) {
+        prefabInput.addEventListener('change', () => {
+            if (prefabInput.files[0]) importPrefabFile(prefabInput.files[0]);
+        });
+    }
+}
+
+// ============================================================================
+// Share Links
+// ============================================================================
+
+// A share link carries the world in its fragment, so nothing is uploaded:
+// "#world=" + a format letter + base64url bytes. 'z' is the binary world
+// format compressed with deflate-raw, 'r' the same bytes uncompressed for
+// browsers without CompressionStream.
+const SHARE_HASH_PREFIX = '#world=';
+const MAX_SHARE_LENGTH = 32000;             // Characters; longer links get mangled by chat apps
+const MAX_SHARE_BYTES = 4 * 1024 * 1024;    // Decompressed limit when opening a link
+const READ_ONLY_TOAST_INTERVAL = 2000;
+
+let readOnlyToastAt = 0;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (err) {
+        throw new Error('Shared link is corrupt');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// Resolves null as soon as the output passes maxBytes, so a small link
+// that inflates to gigabytes is cut off before it fills memory
+function pipeBytes(bytes, transform, maxBytes = Infinity) {
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+    const chunks = [];
+    let total = 0;
+
+    const read = () => reader.read().then(({ done, value }) => {
+        if (done) {
+            const result = new Uint8Array(total);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                result.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            return result;
+        }
+
+        total += value.byteLength;
+        if (total > maxBytes) {
+            reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+        return read();
+    });
+    return read();
+}
+
+function encodeShareFragment(doc) {
+    const bytes = new Uint8Array(encodeWorldBinary(doc));
+    if (typeof CompressionStream === 'undefined') {
+        return Promise.resolve('r' + bytesToBase64Url(bytes));
+    }
+    return pipeBytes(bytes, new CompressionStream('deflate-raw'))
+        .then(compressed => 'z' + bytesToBase64Url(compressed));
+}
+
+function decodeShareFragment(fragment) {
+    if (fragment.length > MAX_SHARE_LENGTH) {
+        return Promise.reject(new Error('Shared link is too large to open'));
+    }
+
+    const kind = fragment[0];
+    let bytes;
+    try {
+        bytes = base64UrlToBytes(fragment.slice(1));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    let decoded;
+    if (kind === 'r') {
+        decoded = Promise.resolve(bytes);
+    } else if (kind === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('This browser cannot open compressed share links'));
+        }
+        decoded = pipeBytes(bytes, new DecompressionStream('deflate-raw'), MAX_SHARE_BYTES)
+            .catch(() => { throw new Error('Shared link is corrupt'); });
+    } else {
+        return Promise.reject(new Error('Shared link is corrupt'));
+    }
+
+    return decoded.then(data => {
+        if (!data || data.byteLength > MAX_SHARE_BYTES) {
+            throw new Error('Shared world is too large to open');
+        }
+        // Copy into a fresh buffer; the binary reader works on whole buffers
+        const buffer = data.slice().buffer;
+        if (!isWorldBinary(buffer)) throw new Error('Shared link is corrupt');
+        try {
+            return decodeWorldBinary(buffer);
+        } catch (err) {
+            throw new Error(`Shared link is corrupt (${err.message})`);
+        }
+    });
+}
+
+function getShareFragment() {
+    const hash = window.location.hash;
+    return hash.startsWith(SHARE_HASH_PREFIX) ? hash.slice(SHARE_HASH_PREFIX.length) : null;
+}
+
+function createShareLink() {
+    // Share links carry the world only; undo history stays local
+    const doc = createWorldDocument();
+    return encodeShareFragment(doc).then(fragment => {
+        if (fragment.length > MAX_SHARE_LENGTH) {
+            const size = Math.ceil(fragment.length / 1024);
+            throw new Error(`World is too large to share as a link (${size} KB). Export a file instead.`);
+        }
+        const base = window.location.href.split('#')[0];
+        return { url: base + SHARE_HASH_PREFIX + fragment, blocks: doc.blocks.length };
+    });
+}
+
+function openShareDialog() {
+    createShareLink()
+        .then(({ url, blocks }) => {
+            const overlay = document.getElementById('shareOverlay');
+            const input = document.getElementById('share-link-input');
+            if (!overlay || !input) return;
+
+            input.value = url;
+            document.getElementById('share-info').textContent =
+                `${blocks} blocks, ${Math.ceil(url.length / 1024)} KB link. Anyone with it can view and remix this world.`;
+            overlay.classList.add('active');
+            input.select();
+        })
+        .catch(err => showToast(err.message, 'error', 6000));
+}
+
+function closeShareDialog() {
+    document.getElementById('shareOverlay')?.classList.remove('active');
+}
+
+function copyShareLink() {
+    const input = document.getElementById('share-link-input');
+    if (!input) return;
+
+    const copied = navigator.clipboard
+        ? navigator.clipboard.writeText(input.value)
+        : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+        .then(() => showToast('Link copied', 'success'))
+        .catch(() => {
+            input.select();
+            showToast('Press Ctrl+C to copy the selected link', 'info');
+        });
+}
+
+function openSharedWorld(fragment) {
+    return decodeShareFragment(fragment)
+        .then(doc => {
+            // Swapping one shared world for another keeps the link in the address bar
+            STATE.readOnly = false;
+            const world = applyWorld(doc);
+            STATE.worldId = null;
+            STATE.worldName = world.name || 'Shared World';
+            setReadOnly(true);
+            if (world.skipped > 0) reportImport(world, 'shared link');
+        })
+        .catch(err => {
+            clearShareFragment();
+            showToast(err.message, 'error', 6000);
+            throw err;
+        });
+}
+
+function clearShareFragment() {
+    if (getShareFragment() === null) return;
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+function onShareHashChange() {
+    // A link pasted into an already open tab only changes the hash
+    const fragment = getShareFragment();
+    if (fragment === null) return;
+    flushAutosave();
+    openSharedWorld(fragment).catch(() => {});
+}
+
+function setReadOnly(readOnly) {
+    STATE.readOnly = readOnly;
+    if (readOnly) {
+        // Viewing someone else's world must not replace the local autosave
+        STATE.autosaveReady = false;
+        clearTimeout(autosaveTimer);
+        autosaveTimer = null;
+        if (STATE.simRunning) toggleSimulation();
+    } else {
+        // Leaving the shared world; drop the fragment so a reload doesn't reopen it
+        clearShareFragment();
+        STATE.autosaveReady = true;
+    }
+
+    const banner = document.getElementById('shared-banner');
+    if (banner) {
+        banner.classList.toggle('active', readOnly);
+        document.getElementById('shared-banner-text').textContent = `Viewing "${STATE.worldName}" (read-only)`;
+    }
+}
+
+// Edit entry points call this first; true means "stop, it's read-only"
+function guardReadOnly() {
+    if (!STATE.readOnly) return false;
+
+    const now = Date.now();
+    if (now - readOnlyToastAt > READ_ONLY_TOAST_INTERVAL) {
+        readOnlyToastAt = now;
+        showToast('This shared world is read-only. Press Remix to edit a copy.', 'warning');
+    }
+    return true;
+}
+
+function remixSharedWorld() {
+    if (!STATE.readOnly) return Promise.resolve();
+
+    const name = `${STATE.worldName} (remix)`;
+    setReadOnly(false);
+    if (!CONFIG.persistence) {
+        STATE.worldName = name;
+        return Promise.resolve();
+    }
+    return saveWorldAs(name);
+}
+
+// ============================================================================
+// Model Export
+// ============================================================================
+
+// Builds are exported as plain hex prisms (no bevel) so neighboring cells
+// share exact faces. Faces between two filled cells are dropped; for glTF
+// and OBJ a face behind a see-through neighbor is kept so water doesn't
+// show holes, while STL drops every shared face to get a closed solid.
+const MODEL_FORMATS = {
+    glb: { name: 'glTF Binary (.glb)', extension: 'glb' },
+    gltf: { name: 'glTF (.gltf)', extension: 'gltf' },
+    obj: { name: 'OBJ + MTL', extension: 'obj' },
+    stl: { name: 'STL (3D printing)', extension: 'stl' }
+};
+
+// Normals: 0 top, 1 bottom, 2-7 the six sides in corner order
+const FACE_NORMAL_TOP = 0;
+const FACE_NORMAL_BOTTOM = 1;
+
+let hexSides = null;
+
+function getHexSides() {
+    // Corner i matches createHexGeometry; side i runs from corner i to i+1.
+    // Each side is matched to the axial neighbor whose center it faces.
+    if (hexSides) return hexSides;
+
+    const corners = [];
+    for (let i = 0; i < 6; i++) {
+        const angle = (i / 6) * Math.PI * 2 - Math.PI / 2;
+        corners.push({ x: Math.cos(angle), z: -Math.sin(angle) });
+    }
+
+    hexSides = corners.map((corner, i) => {
+        const next = corners[(i + 1) % 6];
+        const mx = (corner.x + next.x) / 2;
+        const mz = (corner.z + next.z) / 2;
+        const length = Math.hypot(mx, mz);
+        let best = null;
+        let bestDot = -Infinity;
+        HEX_DIRECTIONS.forEach(([dq, dr]) => {
+            const pos = hexToWorld(dq, dr);
+            const dot = (pos.x * mx + pos.z * mz) / Math.hypot(pos.x, pos.z);
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = [dq, dr];
+            }
+        });
+        return { a: i, b: (i + 1) % 6, dq: best[0], dr: best[1], nx: mx / length, nz: mz / length };
+    });
+    return hexSides;
+}
+
+function getBlockBounds(keys) {
+    let bounds = null;
+    keys.forEach(key => {
+        const [q, r, y] = parseBlockKey(key);
+        if (!bounds) {
+            bounds = { minQ: q, maxQ: q, minR: r, maxR: r, minY: y, maxY: y };
+            return;
+        }
+        bounds.minQ = Math.min(bounds.minQ, q);
+        bounds.maxQ = Math.max(bounds.maxQ, q);
+        bounds.minR = Math.min(bounds.minR, r);
+        bounds.maxR = Math.max(bounds.maxR, r);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    });
+    return bounds;
+}
+
+function collectModelBlocks(bounds) {
+    const blocks = new Map();
+    STATE.blocks.forEach((material, key) => {
+        if (bounds) {
+            const [q, r, y] = parseBlockKey(key);
+            if (q < bounds.minQ || q > bounds.maxQ || r < bounds.minR || r > bounds.maxR ||
+                y < bounds.minY || y > bounds.maxY) return;
+        }
+        blocks.set(key, material);
+    });
+    return blocks;
+}
+
+function isFaceHidden(material, neighbor, closed) {
+    if (neighbor === undefined) return false;
+    if (closed || neighbor === material) return true;
+    // A see-through neighbor would show a hole where this face was
+    return MATERIALS[neighbor].opacity >= 1;
+}
+
+/**
+ * Turns blocks into a triangle mesh with hidden faces removed.
+ * Vertices are shared; triangles are [a, b, c, normalIndex] and grouped by
+ * material so each format can write one primitive or group per material.
+ * Units: `scale` per CONFIG.hexRadius, the floor at 0, centered on x/z.
+ */
+function buildModelMesh(blocks, options) {
+    const { scale = 1, closed = false } = options;
+    const sides = getHexSides();
+    const unit = scale / CONFIG.hexRadius;
+    const radius = CONFIG.hexRadius;
+
+    const vertices = [];
+    const vertexIndex = new Map();
+    const groups = new Map();
+
+    const cells = [];
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity, minY = Infinity;
+    blocks.forEach((material, key) => {
+        const [q, r, y] = parseBlockKey(key);
+        const pos = hexToWorld(q, r);
+        cells.push({ q, r, y, material, pos });
+        minX = Math.min(minX, pos.x);
+        maxX = Math.max(maxX, pos.x);
+        minZ = Math.min(minZ, pos.z);
+        maxZ = Math.max(maxZ, pos.z);
+        minY = Math.min(minY, y);
+    });
+    const originX = (minX + maxX) / 2;
+    const originZ = (minZ + maxZ) / 2;
+    const floor = cells.length > 0 ? getLayerBottom(minY) : 0;
+
+    const addVertex = (x, y, z) => {
+        // Round so corners shared by neighbors collapse to one vertex
+        const vx = Math.round((x - originX) * unit * 1e5) / 1e5;
+        const vy = Math.round((y - floor) * unit * 1e5) / 1e5;
+        const vz = Math.round((z - originZ) * unit * 1e5) / 1e5;
+        const key = `${vx},${vy},${vz}`;
+        let index = vertexIndex.get(key);
+        if (index === undefined) {
+            index = vertices.length / 3;
+            vertices.push(vx, vy, vz);
+            vertexIndex.set(key, index);
+        }
+        return index;
+    };
+
+    cells.forEach(({ q, r, y, material, pos }) => {
+        let triangles = groups.get(material);
+        if (!triangles) {
+            triangles = [];
+            groups.set(material, triangles);
+        }
+
+        const bottom = getLayerBottom(y);
+        const top = bottom + CONFIG.hexHeight;
+        const lower = [];
+        const upper = [];
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2 - Math.PI / 2;
+            const x = pos.x + Math.cos(angle) * radius;
+            const z = pos.z - Math.sin(angle) * radius;
+            lower.push(addVertex(x, bottom, z));
+            upper.push(addVertex(x, top, z));
+        }
+
+        // Corners run counter-clockwise seen from above
+        if (!isFaceHidden(material, blocks.get(getBlockKey(q, r, y + 1)), closed)) {
+            for (let i = 1; i < 5; i++) triangles.push([upper[0], upper[i], upper[i + 1], FACE_NORMAL_TOP]);
+        }
+        if (!isFaceHidden(material, blocks.get(getBlockKey(q, r, y - 1)), closed)) {
+            for (let i = 1; i < 5; i++) triangles.push([lower[0], lower[i + 1], lower[i], FACE_NORMAL_BOTTOM]);
+        }
+        sides.forEach((side, i) => {
+            const neighbor = blocks.get(getBlockKey(q + side.dq, r + side.dr, y));
+            if (isFaceHidden(material, neighbor, closed)) return;
+            triangles.push([lower[side.a], lower[side.b], upper[side.b], 2 + i]);
+            triangles.push([lower[side.a], upper[side.b], upper[side.a], 2 + i]);
+        });
+    });
+
+    const normals = [[0, 1, 0], [0, -1, 0]].concat(sides.map(side => [side.nx, 0, side.nz]));
+    let triangleCount = 0;
+    groups.forEach(triangles => { triangleCount += triangles.length; });
+    return { vertices, normals, groups, triangleCount };
+}
+
+// ---- Writers ----
+
+function encodeStl(mesh) {
+    // Binary STL: 80 byte header, triangle count, then 50 bytes per triangle
+    const buffer = new ArrayBuffer(84 + mesh.triangleCount * 50);
+    const view = new DataView(buffer);
+    const header = new TextEncoder().encode('HexCraft 3D export');
+    new Uint8Array(buffer, 0, 80).set(header.subarray(0, 80));
+    view.setUint32(80, mesh.triangleCount, true);
+
+    let offset = 84;
+    mesh.groups.forEach(triangles => {
+        triangles.forEach(triangle => {
+            mesh.normals[triangle[3]].forEach(value => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            });
+            for (let i = 0; i < 3; i++) {
+                const v = triangle[i] * 3;
+                for (let axis = 0; axis < 3; axis++) {
+                    view.setFloat32(offset, mesh.vertices[v + axis], true);
+                    offset += 4;
+                }
+            }
+            offset += 2; // Attribute byte count, unused
+        });
+    });
+    return buffer;
+}
+
+function getExportMaterialName(index) {
+    return `${MATERIALS[index].name.replace(/[^A-Za-z0-9_-]+/g, '_')}_${index}`;
+}
+
+function encodeObj(mesh, mtlFileName) {
+    const lines = ['# HexCraft 3D export', `mtllib ${mtlFileName}`];
+    for (let i = 0; i < mesh.vertices.length; i += 3) {
+        lines.push(`v ${mesh.vertices[i]} ${mesh.vertices[i + 1]} ${mesh.vertices[i + 2]}`);
+    }
+    mesh.normals.forEach(n => lines.push(`vn ${n.map(value => +value.toFixed(6)).join(' ')}`));
+
+    // OBJ indices are 1-based
+    mesh.groups.forEach((triangles, material) => {
+        lines.push(`g ${getExportMaterialName(material)}`, `usemtl ${getExportMaterialName(material)}`);
+        triangles.forEach(([a, b, c, n]) => {
+            lines.push(`f ${a + 1}//${n + 1} ${b + 1}//${n + 1} ${c + 1}//${n + 1}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function encodeMtl(mesh) {
+    const lines = ['# HexCraft 3D export'];
+    mesh.groups.forEach((triangles, material) => {
+        const mat = MATERIALS[material];
+        const color = new THREE.Color(mat.color);
+        const rgb = value => [color.r, color.g, color.b].map(c => +(c * value).toFixed(4)).join(' ');
+        lines.push(
+            '',
+            `newmtl ${getExportMaterialName(material)}`,
+            `Kd ${rgb(1)}`,
+            `Ka ${rgb(0.2)}`,
+            `Ks ${rgb(mat.metalness)}`,
+            `Ns ${Math.round((1 - mat.roughness) * 900 + 10)}`,
+            `d ${mat.opacity}`,
+            'illum 2'
+        );
+        if (mat.emissive > 0) lines.push(`Ke ${rgb(mat.emissive)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function createGltf(mesh) {
+    // One primitive per material. glTF wants one normal per vertex, so
+    // vertices are split per face direction within each primitive.
+    const chunks = [];
+    let byteLength = 0;
+    const bufferViews = [];
+    const accessors = [];
+    const primitives = [];
+    const materials = [];
+
+    const addView = (array, target) => {
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        byteLength += array.byteLength; // Float32 and Uint32 data keeps 4 byte alignment
+        return bufferViews.length - 1;
+    };
+
+    mesh.groups.forEach((triangles, material) => {
+        if (triangles.length === 0) return;
+        const mat = MATERIALS[material];
+        const vertexIndex = new Map();
+        const positions = [];
+        const normals = [];
+        const indices = new Uint32Array(triangles.length * 3);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        triangles.forEach((triangle, t) => {
+            for (let i = 0; i < 3; i++) {
+                const key = triangle[i] * 8 + triangle[3];
+                let index = vertexIndex.get(key);
+                if (index === undefined) {
+                    index = positions.length / 3;
+                    vertexIndex.set(key, index);
+                    for (let axis = 0; axis < 3; axis++) {
+                        const value = mesh.vertices[triangle[i] * 3 + axis];
+                        positions.push(value);
+                        min[axis] = Math.min(min[axis], value);
+                        max[axis] = Math.max(max[axis], value);
+                    }
+                    normals.push(...mesh.normals[triangle[3]]);
+                }
+                indices[t * 3 + i] = index;
+            }
+        });
+
+        const count = positions.length / 3;
+        accessors.push(
+            { bufferView: addView(new Float32Array(positions), 34962), componentType: 5126, count, type: 'VEC3', min, max },
+            { bufferView: addView(new Float32Array(normals), 34962), componentType: 5126, count, type: 'VEC3' },
+            { bufferView: addView(indices, 34963), componentType: 5125, count: indices.length, type: 'SCALAR' }
+        );
+
+        // glTF colors are linear
+        const color = new THREE.Color(mat.color).convertSRGBToLinear();
+        const gltfMaterial = {
+            name: mat.name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, mat.opacity],
+                metallicFactor: mat.metalness,
+                roughnessFactor: mat.roughness
+            }
+        };
+        if (mat.emissive > 0) {
+            gltfMaterial.emissiveFactor = [color.r, color.g, color.b].map(c => Math.min(1, c * mat.emissive));
+        }
+        if (mat.opacity < 1) gltfMaterial.alphaMode = 'BLEND';
+        materials.push(gltfMaterial);
+
+        primitives.push({
+            attributes: { POSITION: accessors.length - 3, NORMAL: accessors.length - 2 },
+            indices: accessors.length - 1,
+            material: materials.length - 1
+        });
+    });
+
+    const binary = new Uint8Array(byteLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        binary.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    const json = {
+        asset: { version: '2.0', generator: 'HexCraft 3D' },
+        scene: 0,
+        scenes: [{ name: STATE.worldName, nodes: [0] }],
+        nodes: [{ name: STATE.worldName, mesh: 0 }],
+        meshes: [{ name: STATE.worldName, primitives }],
+        materials,
+        accessors,
+        bufferViews,
+        buffers: [{ byteLength }]
+    };
+    return { json, binary };
+}
+
+function encodeGltf(mesh) {
+    const { json, binary } = createGltf(mesh);
+    json.buffers[0].uri = 'data:application/octet-stream;base64,' + bytesToBase64(binary);
+    return JSON.stringify(json);
+}
+
+function encodeGlb(mesh) {
+    const { json, binary } = createGltf(mesh);
+    // Chunks are padded to 4 bytes: JSON with spaces, binary with zeros
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(binary.length / 4) * 4;
+    const buffer = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0x46546C67, true);    // "glTF"
+    view.setUint32(4, 2, true);
+    view.setUint32(8, buffer.byteLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true);   // "JSON"
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004E4942, true); // "BIN"
+    bytes.set(binary, binStart + 8);
+    return buffer;
+}
+
+// ---- Dialog ----
+
+function readModelOptions() {
+    const value = id => Number(document.getElementById(id).value);
+    const scale = value('model-scale');
+    const options = {
+        format: document.getElementById('model-format').value,
+        scale: scale > 0 ? scale : 1,
+        bounds: null
+    };
+    if (document.getElementById('model-box').checked) {
+        options.bounds = {
+            minQ: value('model-min-q'), maxQ: value('model-max-q'),
+            minR: value('model-min-r'), maxR: value('model-max-r'),
+            minY: value('model-min-y'), maxY: value('model-max-y')
+        };
+    }
+    return options;
+}
+
+function setModelBounds(bounds) {
+    if (!bounds) return;
+    Object.entries({ q: 'Q', r: 'R', y: 'Y' }).forEach(([axis, name]) => {
+        document.getElementById(`model-min-${axis}`).value = bounds[`min${name}`];
+        document.getElementById(`model-max-${axis}`).value = bounds[`max${name}`];
+    });
+}
+
+function useSelectionForModelBounds() {
+    if (!requireSelection()) return;
+    const region = getSelectionRegion(STATE.selection);
+    const keys = region.columns.flatMap(({ q, r }) => [
+        getBlockKey(q, r, region.minY), getBlockKey(q, r, region.maxY)
+    ]);
+    setModelBounds(getBlockBounds(keys));
+    document.getElementById('model-box').checked = true;
+    updateModelExportInfo();
+}
+
+function openModelExportDialog() {
+    const overlay = document.getElementById('modelExportOverlay');
+    if (!overlay) return;
+
+    const formatSelect = document.getElementById('model-format');
+    if (formatSelect.options.length === 0) {
+        Object.entries(MODEL_FORMATS).forEach(([id, format]) => {
+            formatSelect.add(new Option(format.name, id));
+        });
+    }
+
+    // Start from the whole build so narrowing the box is easy
+    setModelBounds(getBlockBounds(STATE.blocks.keys()));
+    document.getElementById('model-box').checked = false;
+    updateModelExportInfo();
+    overlay.classList.add('active');
+}
+
+function closeModelExportDialog() {
+    document.getElementById('modelExportOverlay')?.classList.remove('active');
+}
+
+function updateModelExportInfo() {
+    const options = readModelOptions();
+    document.getElementById('model-box-fields').classList.toggle('disabled', !options.bounds);
+    const count = collectModelBlocks(options.bounds).size;
+    const size = (2 * options.scale).toFixed(2);
+    document.getElementById('model-info').textContent =
+        `${count} blocks. One hex is ${size} units across its corners.`;
+}
+
+function exportModel(options = readModelOptions()) {
+    const blocks = collectModelBlocks(options.bounds);
+    if (blocks.size === 0) {
+        showToast('Nothing to export in that box', 'warning');
+        return;
+    }
+
+    const format = MODEL_FORMATS[options.format];
+    const mesh = buildModelMesh(blocks, { scale: options.scale, closed: options.format === 'stl' });
+    const fileName = getWorldFileName(format.extension);
+
+    if (options.format === 'stl') {
+        downloadBlob(new Blob([encodeStl(mesh)], { type: 'model/stl' }), fileName);
+    } else if (options.format === 'obj') {
+        const mtlFileName = getWorldFileName('mtl');
+        downloadBlob(new Blob([encodeObj(mesh, mtlFileName)], { type: 'text/plain' }), fileName);
+        downloadBlob(new Blob([encodeMtl(mesh)], { type: 'text/plain' }), mtlFileName);
+    } else if (options.format === 'gltf') {
+        downloadBlob(new Blob([encodeGltf(mesh)], { type: 'model/gltf+json' }), fileName);
+    } else {
+        downloadBlob(new Blob([encodeGlb(mesh)], { type: 'model/gltf-binary' }), fileName);
+    }
+    showToast(`Exported ${blocks.size} blocks (${mesh.triangleCount} triangles)`, 'success');
+    closeModelExportDialog();
+}
+
+// ============================================================================
+// Capture
+// ============================================================================
+
+// Screenshots and turntables render into an offscreen target at their own
+// size, so the window size doesn't matter and no page UI ends up in them.
+const CAPTURE_SIZES = {
+    '1080p': { name: '1920 x 1080', width: 1920, height: 1080 },
+    '1440p': { name: '2560 x 1440', width: 2560, height: 1440 },
+    '4k': { name: '3840 x 2160 (4K)', width: 3840, height: 2160 },
+    square: { name: '2048 x 2048', width: 2048, height: 2048 },
+    vertical: { name: '1080 x 1920', width: 1080, height: 1920 }
+};
+const TURNTABLE_FPS = 30;
+const TURNTABLE_BITRATE = 12000000;
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let activeRecording = null;     // { recorder, cancelled } while a turntable records
+
+function getSceneHelpers() {
+    // Editing aids that never belong in a capture; ghost meshes are only
+    // created once something is first shown
+    return [highlightMesh, gridHelper, selectionGhost.mesh, floatingGhost.mesh, ...getCollabCursorMeshes()]
+        .filter(Boolean);
+}
+
+function getCaptureFraming(aspect, fitBuild) {
+    // Orbit parameters around a fixed center; the turntable only turns theta
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    const framing = { target: controls.target.clone(), spherical };
+
+    if (fitBuild && STATE.blocks.size > 0) {
+        const box = new THREE.Box3();
+        STATE.blocks.forEach((material, key) => {
+            const [q, r, y] = parseBlockKey(key);
+            const pos = hexToWorld(q, r);
+            box.expandByPoint(new THREE.Vector3(pos.x, getLayerBottom(y), pos.z));
+            box.expandByPoint(new THREE.Vector3(pos.x, getLayerBottom(y) + CONFIG.hexHeight, pos.z));
+        });
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        // Fit the sphere to the narrower of the two fields of view
+        const vFov = THREE.MathUtils.degToRad(camera.fov);
+        const hFov = 2 * Math.atan(Math.tan(vFov / 2) * aspect);
+        const fov = Math.min(vFov, hFov);
+        framing.target.copy(sphere.center);
+        spherical.radius = (sphere.radius + CONFIG.hexRadius) / Math.sin(fov / 2);
+    }
+    return framing;
+}
+
+function createCaptureRig(options) {
+    const size = CAPTURE_SIZES[options.size] || CAPTURE_SIZES['1080p'];
+    // Large targets are scaled down to what the GPU supports
+    const limit = renderer.capabilities.maxTextureSize;
+    const fit = Math.min(1, limit / Math.max(size.width, size.height));
+    const width = Math.floor(size.width * fit);
+    const height = Math.floor(size.height * fit);
+
+    const target = renderer.capabilities.isWebGL2
+        ? new THREE.WebGLMultisampleRenderTarget(width, height)
+        : new THREE.WebGLRenderTarget(width, height);
+    const captureCamera = camera.clone();
+    captureCamera.aspect = width / height;
+    captureCamera.updateProjectionMatrix();
+    const framing = getCaptureFraming(captureCamera.aspect, options.fit);
+    const baseTheta = framing.spherical.theta;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const pixels = new Uint8Array(width * height * 4);
+    const rowBytes = width * 4;
+
+    const render = angle => {
+        framing.spherical.theta = baseTheta + angle;
+        captureCamera.position.setFromSpherical(framing.spherical).add(framing.target);
+        captureCamera.lookAt(framing.target);
+
+        const helpers = getSceneHelpers().map(object => [object, object.visible]);
+        helpers.forEach(([object]) => { object.visible = false; });
+        const background = scene.background;
+        const fog = scene.fog;
+        const clearAlpha = renderer.getClearAlpha();
+        const backdrop = [skyMesh, starField, groundMesh].map(object => [object, object.visible]);
+        if (options.transparent) {
+            scene.background = null;
+            scene.fog = null;
+            backdrop.forEach(([object]) => { object.visible = false; });
+            renderer.setClearAlpha(0);
+        }
+
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        renderer.render(scene, captureCamera);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        renderer.setRenderTarget(null);
+
+        helpers.forEach(([object, visible]) => { object.visible = visible; });
+        backdrop.forEach(([object, visible]) => { object.visible = visible; });
+        scene.background = background;
+        scene.fog = fog;
+        renderer.setClearAlpha(clearAlpha);
+
+        // WebGL rows start at the bottom
+        for (let row = 0; row < height; row++) {
+            const from = (height - 1 - row) * rowBytes;
+            image.data.set(pixels.subarray(from, from + rowBytes), row * rowBytes);
+        }
+        context.putImageData(image, 0, 0);
+    };
+
+    return { canvas, width, height, render, dispose: () => target.dispose() };
+}
+
+function readCaptureOptions() {
+    return {
+        size: document.getElementById('capture-size').value,
+        transparent: document.getElementById('capture-transparent').checked,
+        fit: document.getElementById('capture-fit').checked,
+        duration: Number(document.getElementById('capture-duration').value)
+    };
+}
+
+function takeScreenshot(options = readCaptureOptions()) {
+    const rig = createCaptureRig(options);
+    rig.render(0);
+    rig.dispose();
+    rig.canvas.toBlob(blob => {
+        if (!blob) {
+            showToast('Screenshot failed', 'error');
+            return;
+        }
+        downloadBlob(blob, getWorldFileName('png'));
+        showToast(`Saved ${rig.width} x ${rig.height} screenshot`, 'success');
+    }, 'image/png');
+}
+
+function getVideoType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function recordTurntable(options = readCaptureOptions()) {
+    if (activeRecording) return;
+
+    const mimeType = getVideoType();
+    const rig = mimeType && createCaptureRig(options);
+    if (!rig || !rig.canvas.captureStream) {
+        showToast('This browser cannot record WebM video', 'error');
+        return;
+    }
+
+    // Frames are pushed by hand so every one is a finished render
+    const stream = rig.canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: TURNTABLE_BITRATE });
+    const chunks = [];
+    const recording = { recorder, cancelled: false };
+    activeRecording = recording;
+
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+        rig.dispose();
+        activeRecording = null;
+        updateCaptureUI();
+        if (recording.cancelled) {
+            showToast('Recording cancelled', 'info');
+            return;
+        }
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), getWorldFileName('webm'));
+        showToast(`Saved ${options.duration}s turntable`, 'success');
+    };
+
+    const frameCount = Math.round(options.duration * TURNTABLE_FPS);
+    let frame = 0;
+    const step = () => {
+        if (recording.cancelled || frame >= frameCount) {
+            recorder.stop();
+            return;
+        }
+        rig.render((frame / frameCount) * Math.PI * 2);
+        track.requestFrame();
+        frame++;
+        updateCaptureUI(frame / frameCount);
+        setTimeout(step, 1000 / TURNTABLE_FPS);
+    };
+
+    recorder.start();
+    updateCaptureUI(0);
+    step();
+}
+
+function cancelRecording() {
+    if (!activeRecording) return;
+    activeRecording.cancelled = true;
+}
+
+function openCaptureDialog() {
+    if (vr.session) {
+        showToast('Leave VR to take captures', 'info');
+        return;
+    }
+    const overlay = document.getElementById('captureOverlay');
+    if (!overlay) return;
+
+    const sizeSelect = document.getElementById('capture-size');
+    if (sizeSelect.options.length === 0) {
+        Object.entries(CAPTURE_SIZES).forEach(([id, size]) => {
+            sizeSelect.add(new Option(size.name, id));
+        });
+    }
+    updateCaptureUI();
+    overlay.classList.add('active');
+}
+
+function closeCaptureDialog() {
+    document.getElementById('captureOverlay')?.classList.remove('active');
+}
+
+function updateCaptureUI(progress) {
+    const recordBtn = document.getElementById('capture-record-btn');
+    if (!recordBtn) return;
+
+    recordBtn.textContent = activeRecording ? 'Cancel' : 'Record Turntable';
+    document.getElementById('capture-shot-btn').disabled = !!activeRecording;
+    const info = document.getElementById('capture-info');
+    if (activeRecording) {
+        info.textContent = `Recording... ${Math.round((progress || 0) * 100)}%`;
+    } else {
+        info.textContent = getVideoType()
+            ? 'Turntables orbit the view target and save as WebM.'
+            : 'This browser cannot record video; screenshots still work.';
+    }
+}
+
+function toggleTurntableRecording() {
+    if (activeRecording) {
+        cancelRecording();
+    } else {
+        recordTurntable();
+    }
+}
+
+// ============================================================================
+// Map Editor
+// ============================================================================
+
+// A flat top-down view of the grid for laying out maps. Each column shows
+// its top block (getTopBlockAt, so the slice applies), shaded by height.
+// Edits go through addBlock()/removeBlock() like the 3D view, and the map
+// redraws from the block change listener, so both views stay in sync.
+const MAP_TOOLS = {
+    paint: 'Paint',     // Recolor the top block, or lay ground on an empty column
+    raise: 'Raise',     // Stack one block on top
+    lower: 'Lower',     // Remove the top block
+    pick: 'Pick'        // Take the top block's material
+};
+const MAP_MIN_SCALE = 6;        // Pixels per world unit
+const MAP_MAX_SCALE = 64;
+const MAP_HEIGHT_LABEL_SCALE = 14;
+
+const mapEditor = {
+    open: false,
+    tool: 'paint',
+    center: { x: 0, z: 0 },     // World point at the middle of the canvas
+    scale: 18,
+    showHeights: true,
+    hover: null,                // { q, r } under the pointer
+    drag: null,                 // { pan, x, y, visited } while a pointer is down
+    drawPending: false,
+    stopListening: null
+};
+
+function toggleMapEditor() {
+    if (mapEditor.open) {
+        closeMapEditor();
+    } else {
+        openMapEditor();
+    }
+}
+
+function openMapEditor() {
+    const panel = document.getElementById('map-editor');
+    if (!panel || mapEditor.open) return;
+
+    mapEditor.open = true;
+    mapEditor.center = { x: controls.target.x, z: controls.target.z };
+    mapEditor.stopListening = addBlockChangeListener(scheduleMapDraw);
+    panel.classList.add('active');
+    document.getElementById('map-btn')?.classList.add('active');
+    updateMapToolButtons();
+    resizeMapCanvas();
+}
+
+function closeMapEditor() {
+    if (!mapEditor.open) return;
+
+    mapEditor.open = false;
+    mapEditor.stopListening();
+    mapEditor.stopListening = null;
+    if (mapEditor.drag && !mapEditor.drag.pan) endStroke();
+    mapEditor.drag = null;
+    document.getElementById('map-editor')?.classList.remove('active');
+    document.getElementById('map-btn')?.classList.remove('active');
+}
+
+function setMapTool(tool) {
+    if (!MAP_TOOLS[tool]) return;
+    mapEditor.tool = tool;
+    updateMapToolButtons();
+}
+
+function updateMapToolButtons() {
+    document.querySelectorAll('#map-editor [data-map-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mapTool === mapEditor.tool);
+    });
+}
+
+function resizeMapCanvas() {
+    const canvas = document.getElementById('map-canvas');
+    if (!canvas) return;
+    const ratio = Math.min(window.devicePixelRatio, 2);
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+    scheduleMapDraw();
+}
+
+function scheduleMapDraw() {
+    if (!mapEditor.open || mapEditor.drawPending) return;
+    mapEditor.drawPending = true;
+    requestAnimationFrame(() => {
+        mapEditor.drawPending = false;
+        if (mapEditor.open) drawMap();
+    });
+}
+
+// Canvas coordinates are CSS pixels from the canvas' top left corner
+function mapToCanvas(canvas, x, z) {
+    return {
+        x: canvas.clientWidth / 2 + (x - mapEditor.center.x) * mapEditor.scale,
+        y: canvas.clientHeight / 2 + (z - mapEditor.center.z) * mapEditor.scale
+    };
+}
+
+function canvasToMap(canvas, px, py) {
+    return {
+        x: mapEditor.center.x + (px - canvas.clientWidth / 2) / mapEditor.scale,
+        z: mapEditor.center.z + (py - canvas.clientHeight / 2) / mapEditor.scale
+    };
+}
+
+function getMapCellRange(canvas) {
+    // Axial bounds covering the four canvas corners, plus a cell of margin
+    const corners = [[0, 0], [canvas.clientWidth, 0], [0, canvas.clientHeight], [canvas.clientWidth, canvas.clientHeight]]
+        .map(([px, py]) => {
+            const { x, z } = canvasToMap(canvas, px, py);
+            return worldToHex(x, z);
+        });
+    return {
+        minQ: Math.min(...corners.map(c => c.q)) - 1,
+        maxQ: Math.max(...corners.map(c => c.q)) + 1,
+        minR: Math.min(...corners.map(c => c.r)) - 1,
+        maxR: Math.max(...corners.map(c => c.r)) + 1
+    };
+}
+
+function drawMap() {
+    const canvas = document.getElementById('map-canvas');
+    if (!canvas || canvas.width === 0) return;
+
+    const ctx = canvas.getContext('2d');
+    const ratio = canvas.width / canvas.clientWidth;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#0f0f23';
+    ctx.fillRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+
+    const size = CONFIG.hexRadius * mapEditor.scale;
+    const range = getMapCellRange(canvas);
+    const showHeights = mapEditor.showHeights && mapEditor.scale >= MAP_HEIGHT_LABEL_SCALE;
+    ctx.font = `${Math.round(size * 0.7)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+
+    for (let q = range.minQ; q <= range.maxQ; q++) {
+        for (let r = range.minR; r <= range.maxR; r++) {
+            const world = hexToWorld(q, r);
+            const { x, y: py } = mapToCanvas(canvas, world.x, world.z);
+            if (x < -size || py < -size || x > canvas.clientWidth + size || py > canvas.clientHeight + size) continue;
+
+            const y = getTopBlockAt(q, r);
+            if (y < 0) {
+                // Empty columns only get an outline inside the play area
+                if (hexDistance(0, 0, q, r) > CONFIG.gridSize) continue;
+                traceHex(ctx, x, py, size - 0.5);
+                ctx.strokeStyle = '#2a2a4a';
+                ctx.stroke();
+                continue;
+            }
+
+            const material = MATERIALS[STATE.blocks.get(getBlockKey(q, r, y))];
+            // Low columns are darker, high ones lighter
+            const shade = (y / (CONFIG.maxHeight - 1)) * 0.7 - 0.35;
+            traceHex(ctx, x, py, size - 0.5);
+            ctx.fillStyle = shadeColor(material.color, shade);
+            ctx.fill();
+
+            if (showHeights) {
+                ctx.fillStyle = shade > 0.1 ? '#111827' : '#f9fafb';
+                ctx.fillText(String(y + 1), x, py);
+            }
+        }
+    }
+
+    if (mapEditor.hover) {
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        getBrushCells(mapEditor.hover.q, mapEditor.hover.r).forEach(cell => {
+            const world = hexToWorld(cell.q, cell.r);
+            const { x, y } = mapToCanvas(canvas, world.x, world.z);
+            traceHex(ctx, x, y, size - 1);
+            ctx.stroke();
+        });
+    }
+
+    // Where the 3D camera is looking
+    const target = mapToCanvas(canvas, controls.target.x, controls.target.z);
+    ctx.strokeStyle = '#f472b6';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(target.x - 6, target.y);
+    ctx.lineTo(target.x + 6, target.y);
+    ctx.moveTo(target.x, target.y - 6);
+    ctx.lineTo(target.x, target.y + 6);
+    ctx.stroke();
+}
+
+function updateMapInfo() {
+    const info = document.getElementById('map-info');
+    if (!info) return;
+
+    if (!mapEditor.hover) {
+        info.textContent = 'Left drag to edit, right drag to pan, scroll to zoom';
+        return;
+    }
+    const { q, r } = mapEditor.hover;
+    const y = getTopBlockAt(q, r);
+    info.textContent = y < 0
+        ? `${q}, ${r}: empty`
+        : `${q}, ${r}: height ${y + 1}, ${MATERIALS[STATE.blocks.get(getBlockKey(q, r, y))].name}`;
+}
+
+function applyMapTool(q, r) {
+    if (mapEditor.tool === 'pick') {
+        const y = getTopBlockAt(q, r);
+        if (y >= 0) selectMaterial(STATE.blocks.get(getBlockKey(q, r, y)));
+        return;
+    }
+
+    let changed = 0;
+    getBrushCells(q, r).forEach(cell => {
+        const cellKey = `${cell.q},${cell.r}`;
+        // Each column changes once per drag, so raising doesn't stack up
+        if (mapEditor.drag.visited.has(cellKey)) return;
+        mapEditor.drag.visited.add(cellKey);
+
+        const y = getTopBlockAt(cell.q, cell.r);
+        if (mapEditor.tool === 'paint') {
+            const layer = Math.max(0, y);
+            if (canEditLayer(layer) && setBlockAt(getBlockKey(cell.q, cell.r, layer), STATE.currentMaterial)) changed++;
+        } else if (mapEditor.tool === 'raise') {
+            if (y + 1 < CONFIG.maxHeight && canEditLayer(y + 1) &&
+                addBlock(cell.q, cell.r, y + 1, STATE.currentMaterial, false)) changed++;
+        } else if (y >= 0 && canEditLayer(y)) {
+            if (removeBlock(cell.q, cell.r, y, false)) changed++;
+        }
+    });
+
+    if (changed > 0) commitEdit(`Map ${MAP_TOOLS[mapEditor.tool]}`);
+}
+
+function getMapPointerCell(event) {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const point = canvasToMap(canvas, event.clientX - rect.left, event.clientY - rect.top);
+    return worldToHex(point.x, point.z);
+}
+
+function onMapPointerDown(event) {
+    const canvas = event.currentTarget;
+    canvas.setPointerCapture(event.pointerId);
+    const pan = event.button !== 0;
+    if (!pan && mapEditor.tool !== 'pick' && guardReadOnly()) return;
+
+    mapEditor.drag = { pan, x: event.clientX, y: event.clientY, visited: new Set() };
+    if (!pan) {
+        beginStroke();
+        const { q, r } = getMapPointerCell(event);
+        applyMapTool(q, r);
+    }
+}
+
+function onMapPointerMove(event) {
+    const cell = getMapPointerCell(event);
+    const drag = mapEditor.drag;
+
+    if (drag && drag.pan) {
+        mapEditor.center.x -= (event.clientX - drag.x) / mapEditor.scale;
+        mapEditor.center.z -= (event.clientY - drag.y) / mapEditor.scale;
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+    } else if (drag) {
+        applyMapTool(cell.q, cell.r);
+    }
+
+    if (!mapEditor.hover || mapEditor.hover.q !== cell.q || mapEditor.hover.r !== cell.r || drag) {
+        mapEditor.hover = cell;
+        updateMapInfo();
+        scheduleMapDraw();
+    }
+}
+
+function onMapPointerUp() {
+    if (mapEditor.drag && !mapEditor.drag.pan) endStroke();
+    mapEditor.drag = null;
+}
+
+function onMapPointerLeave() {
+    mapEditor.hover = null;
+    updateMapInfo();
+    scheduleMapDraw();
+}
+
+function onMapWheel(event) {
+    event.preventDefault();
+    // Zoom around the point under the cursor
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const px = event.clientX - rect.left;
+    const py = event.clientY - rect.top;
+    const before = canvasToMap(canvas, px, py);
+
+    const factor = Math.exp(-event.deltaY * 0.0015);
+    mapEditor.scale = Math.max(MAP_MIN_SCALE, Math.min(MAP_MAX_SCALE, mapEditor.scale * factor));
+
+    const after = canvasToMap(canvas, px, py);
+    mapEditor.center.x += before.x - after.x;
+    mapEditor.center.z += before.z - after.z;
+    scheduleMapDraw();
+}
+
+function setupMapEditor() {
+    const canvas = document.getElementById('map-canvas');
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', onMapPointerDown);
+    canvas.addEventListener('pointermove', onMapPointerMove);
+    canvas.addEventListener('pointerup', onMapPointerUp);
+    canvas.addEventListener('pointercancel', onMapPointerUp);
+    canvas.addEventListener('pointerleave', onMapPointerLeave);
+    canvas.addEventListener('wheel', onMapWheel, { passive: false });
+    canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+    // Keep the camera marker current while orbiting
+    controls.addEventListener('change', scheduleMapDraw);
+
+    document.getElementById('map-heights')?.addEventListener('change', (e) => {
+        mapEditor.showHeights = e.target.checked;
+        scheduleMapDraw();
+    });
+}
+
+// ============================================================================
+// Minimap
+// ============================================================================
+
+// Corner overview of the build colored by top block, with the camera and
+// its view cone on top. The blocks layer is cached on an offscreen canvas
+// and redrawn only after block changes; the camera overlay is redrawn a
+// few times a second. Clicking moves the orbit target there.
+const MINIMAP_FRAME_INTERVAL = 100;     // ms between overlay redraws
+const MINIMAP_MARGIN = 3;               // World units around the farthest block
+const MAX_BOOKMARKS = 20;
+
+const minimap = {
+    terrain: null,          // Offscreen canvas with the cached blocks layer
+    dirty: true,
+    radius: 1,              // World units from the origin to the canvas edge
+    drawnAt: 0
+};
+
+function setupMinimap() {
+    const canvas = document.getElementById('minimap-canvas');
+    if (!canvas) return;
+
+    const ratio = Math.min(window.devicePixelRatio, 2);
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+    minimap.terrain = document.createElement('canvas');
+    minimap.terrain.width = canvas.width;
+    minimap.terrain.height = canvas.height;
+
+    addBlockChangeListener(() => { minimap.dirty = true; });
+    canvas.addEventListener('click', onMinimapClick);
+    refreshBookmarkList();
+}
+
+function minimapToCanvas(canvas, x, z) {
+    const scale = canvas.width / (minimap.radius * 2);
+    return { x: canvas.width / 2 + x * scale, y: canvas.height / 2 + z * scale };
+}
+
+function drawMinimapTerrain() {
+    // Always shows the play area; grows to fit builds outside it
+    const columns = getTopColumns(STATE.blocks);
+    let radius = (CONFIG.gridSize + 1) * Math.sqrt(3) * CONFIG.hexRadius;
+    columns.forEach(column => {
+        const { x, z } = hexToWorld(column.q, column.r);
+        radius = Math.max(radius, Math.abs(x) + MINIMAP_MARGIN, Math.abs(z) + MINIMAP_MARGIN);
+    });
+    minimap.radius = radius;
+
+    const canvas = minimap.terrain;
+    const ctx = canvas.getContext('2d');
+    const size = CONFIG.hexRadius * canvas.width / (radius * 2);
+    ctx.fillStyle = '#0f0f23';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (const column of columns.values()) {
+        const world = hexToWorld(column.q, column.r);
+        const { x, y } = minimapToCanvas(canvas, world.x, world.z);
+        const shade = (column.y / (CONFIG.maxHeight - 1)) * 0.6 - 0.3;
+        ctx.fillStyle = shadeColor(palette[column.materialIndex].color, shade);
+        traceHex(ctx, x, y, size + 0.5);
+        ctx.fill();
+    }
+    minimap.dirty = false;
+}
+
+function drawMinimap() {
+    const canvas = document.getElementById('minimap-canvas');
+    if (!canvas || !minimap.terrain) return;
+    if (minimap.dirty) drawMinimapTerrain();
+
+    const ctx = canvas.getContext('2d');
+    const ratio = canvas.width / canvas.clientWidth;
+    ctx.drawImage(minimap.terrain, 0, 0);
+
+    // Bookmarked targets
+    ctx.fillStyle = '#fbbf24';
+    STATE.bookmarks.forEach(bookmark => {
+        const { x, y } = minimapToCanvas(canvas, bookmark.target[0], bookmark.target[2]);
+        ctx.fillRect(x - 2 * ratio, y - 2 * ratio, 4 * ratio, 4 * ratio);
+    });
+
+    // View cone: the horizontal field of view laid flat
+    const eye = minimapToCanvas(canvas, camera.position.x, camera.position.z);
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const heading = Math.atan2(forward.z, forward.x);
+    const halfFov = Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.aspect);
+    const length = 36 * ratio;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+    ctx.beginPath();
+    ctx.moveTo(eye.x, eye.y);
+    ctx.lineTo(eye.x + Math.cos(heading - halfFov) * length, eye.y + Math.sin(heading - halfFov) * length);
+    ctx.lineTo(eye.x + Math.cos(heading + halfFov) * length, eye.y + Math.sin(heading + halfFov) * length);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(eye.x, eye.y, 3 * ratio, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (STATE.mode === 'orbit') {
+        const target = minimapToCanvas(canvas, controls.target.x, controls.target.z);
+        ctx.strokeStyle = '#f472b6';
+        ctx.lineWidth = 1.5 * ratio;
+        ctx.beginPath();
+        ctx.arc(target.x, target.y, 4 * ratio, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+function updateMinimap() {
+    const now = performance.now();
+    if (now - minimap.drawnAt < MINIMAP_FRAME_INTERVAL) return;
+    minimap.drawnAt = now;
+    drawMinimap();
+}
+
+function onMinimapClick(event) {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const scale = (minimap.radius * 2) / rect.width;
+    moveViewTo((event.clientX - rect.left - rect.width / 2) * scale,
+        (event.clientY - rect.top - rect.height / 2) * scale);
+}
+
+function moveViewTo(x, z) {
+    if (STATE.mode !== 'orbit') setMode('orbit');
+
+    // Aim at the top of the column and keep the current angle and distance
+    const { q, r } = worldToHex(x, z);
+    const top = getTopBlockAt(q, r);
+    const target = new THREE.Vector3(x, top < 0 ? 0 : getLayerBottom(top + 1), z);
+    camera.position.add(new THREE.Vector3().subVectors(target, controls.target));
+    controls.target.copy(target);
+    controls.update();
+    minimap.drawnAt = 0;
+}
+
+// ---- Camera bookmarks ----
+// Saved with the world as { name, position, target }
+
+function readBookmarks(bookmarks) {
+    if (!Array.isArray(bookmarks)) return [];
+    return bookmarks
+        .filter(b => b && typeof b.name === 'string' && isVector(b.position) && isVector(b.target))
+        .slice(0, MAX_BOOKMARKS)
+        .map(b => ({ name: b.name.slice(0, 40), position: b.position, target: b.target }));
+}
+
+function setBookmarks(bookmarks) {
+    STATE.bookmarks = bookmarks;
+    refreshBookmarkList();
+}
+
+function addBookmark() {
+    if (STATE.bookmarks.length >= MAX_BOOKMARKS) {
+        showToast(`Up to ${MAX_BOOKMARKS} views can be saved`, 'warning');
+        return;
+    }
+
+    // Fly and walk views bookmark the point straight ahead
+    const target = STATE.mode === 'orbit'
+        ? controls.target.clone()
+        : camera.position.clone().add(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(10));
+    let number = STATE.bookmarks.length + 1;
+    while (STATE.bookmarks.some(b => b.name === `View ${number}`)) number++;
+
+    STATE.bookmarks.push({
+        name: `View ${number}`,
+        position: camera.position.toArray().map(v => Math.round(v * 100) / 100),
+        target: target.toArray().map(v => Math.round(v * 100) / 100)
+    });
+    refreshBookmarkList();
+    scheduleAutosave();
+    showToast(`Saved View ${number}`, 'success');
+}
+
+function goToBookmark(index) {
+    const bookmark = STATE.bookmarks[index];
+    if (!bookmark) return;
+
+    if (STATE.mode !== 'orbit') setMode('orbit');
+    camera.position.fromArray(bookmark.position);
+    controls.target.fromArray(bookmark.target);
+    controls.update();
+    minimap.drawnAt = 0;
+}
+
+function deleteBookmark(index) {
+    STATE.bookmarks.splice(index, 1);
+    refreshBookmarkList();
+    scheduleAutosave();
+}
+
+function toggleBookmarkList() {
+    document.getElementById('bookmark-list')?.classList.toggle('active');
+}
+
+function refreshBookmarkList() {
+    const list = document.getElementById('bookmark-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (STATE.bookmarks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'bookmark-empty';
+        empty.textContent = 'No saved views yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    STATE.bookmarks.forEach((bookmark, index) => {
+        const item = document.createElement('div');
+        item.className = 'bookmark-item';
+
+        const name = document.createElement('button');
+        name.className = 'bookmark-name';
+        name.textContent = bookmark.name;
+        name.addEventListener('click', () => goToBookmark(index));
+
+        const remove = document.createElement('button');
+        remove.className = 'close-btn';
+        remove.title = 'Delete';
+        remove.innerHTML = '&times;';
+        remove.addEventListener('click', () => deleteBookmark(index));
+
+        item.append(name, remove);
+        list.appendChild(item);
+    });
+}
+
+// ============================================================================
+// Collaboration
+// ============================================================================
+
+// Players in the same room of server/relay.js build in one world. Local
+// block changes become operations [key, materialIndex|null, clock] sent to
+// the relay in small batches; remote ones are written with setBlockAt() so
+// they don't animate, play sounds or enter this player's undo history.
+// Conflicts are last-writer-wins per cell: every write carries a Lamport
+// stamp [clock, peerId] and the larger stamp wins on every client.
+const COLLAB_STORAGE_KEY = 'hexcraft-collab';
+const COLLAB_DEFAULT_PORT = 8787;
+const COLLAB_FLUSH_INTERVAL = 50;       // ms local ops wait to be batched
+const COLLAB_CURSOR_INTERVAL = 100;     // ms between cursor updates
+
+const collab = {
+    socket: null,
+    status: 'offline',      // 'offline', 'connecting' or 'online'
+    id: null,               // Peer id assigned by the relay
+    room: '',
+    name: '',
+    color: '',
+    clock: 0,
+    stamps: new Map(),      // key -> [clock, peerId] of the write the cell shows
+    outbox: new Map(),      // key -> op waiting for the next flush
+    flushTimer: null,
+    peers: new Map(),       // id -> { id, name, color, cell, ghost }
+    cursorKey: null,
+    cursorSentAt: 0,
+    stopListening: null
+};
+
+function getCollabSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(COLLAB_STORAGE_KEY)) || {};
+    } catch (err) {
+        // Storage can be blocked or hold junk; use the defaults
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    return {
+        server: params.get('server') || stored.server || CONFIG.collabServer ||
+            `${protocol}://${window.location.hostname || 'localhost'}:${COLLAB_DEFAULT_PORT}`,
+        room: params.get('room') || stored.room || '',
+        name: stored.name || ''
+    };
+}
+
+function storeCollabSettings(settings) {
+    try {
+        localStorage.setItem(COLLAB_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        // Not remembered; the session still works
+    }
+}
+
+function isNewerStamp(a, b) {
+    return a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]);
+}
+
+function joinCollab(server, room, name) {
+    if (guardReadOnly()) return;
+    if (collab.status !== 'offline') leaveCollab();
+    if (!room) {
+        showToast('Enter a room name', 'warning');
+        return;
+    }
+
+    let socket;
+    try {
+        const url = new URL(server);
+        url.searchParams.set('room', room);
+        socket = new WebSocket(url.toString());
+    } catch (err) {
+        showToast(`Bad relay address: ${server}`, 'error');
+        return;
+    }
+
+    // The material editor is locked for the session; let it finish first
+    closeMaterialEditor();
+    saveState();
+    storeCollabSettings({ server, room, name });
+    Object.assign(collab, { socket, status: 'connecting', room, name, id: null, clock: 0 });
+    collab.stamps.clear();
+    collab.outbox.clear();
+    // Edits made before the welcome wait in the outbox
+    collab.stopListening = addBlockChangeListener(onLocalBlockChange);
+    updateCollabUI();
+
+    socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'join', name, world: createWorldDocument() }));
+    };
+    socket.onmessage = event => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (err) {
+            return;
+        }
+        onCollabMessage(message);
+    };
+    socket.onclose = () => {
+        if (collab.socket !== socket) return;
+        const wasOnline = collab.status === 'online';
+        resetCollab();
+        showToast(wasOnline ? 'Disconnected from the room' : `Could not reach the relay at ${server}`, 'error', 5000);
+    };
+}
+
+function leaveCollab() {
+    if (collab.status === 'offline') return;
+    flushCollabOps();
+    const socket = collab.socket;
+    resetCollab();
+    socket.close();
+    showToast('Left the room', 'info');
+}
+
+function resetCollab() {
+    clearTimeout(collab.flushTimer);
+    if (collab.stopListening) collab.stopListening();
+    collab.peers.forEach(peer => removeCollabPeer(peer.id));
+    Object.assign(collab, {
+        socket: null, status: 'offline', id: null, flushTimer: null,
+        cursorKey: null, stopListening: null
+    });
+    collab.outbox.clear();
+    updateCollabUI();
+}
+
+function onCollabMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            onCollabWelcome(message);
+            break;
+        case 'ops':
+            applyRemoteOps(message.from, message.ops);
+            break;
+        case 'cursor':
+            setCollabCursor(message.from, message.cell);
+            break;
+        case 'peer-join':
+            addCollabPeer(message.peer);
+            showToast(`${message.peer.name} joined`, 'info');
+            break;
+        case 'peer-leave': {
+            const peer = collab.peers.get(message.id);
+            if (peer) showToast(`${peer.name} left`, 'info');
+            removeCollabPeer(message.id);
+            break;
+        }
+        case 'error':
+            showToast(message.message, 'error', 5000);
+            break;
+    }
+}
+
+function onCollabWelcome(message) {
+    collab.id = message.id;
+    collab.color = message.color;
+    collab.clock = message.clock;
+
+    // Cells edited while connecting were stamped without an id
+    const pending = Array.from(collab.outbox.keys());
+    collab.outbox.clear();
+    collab.stamps.clear();
+
+    // Later players take the room's world, which replaces what they edited;
+    // the first one keeps its own and sends the edits made since joining
+    if (message.world) {
+        STATE.applyingRemote = true;
+        try {
+            applyWorld(message.world);
+        } catch (err) {
+            // The local world is untouched; stay offline with it
+            const socket = collab.socket;
+            resetCollab();
+            socket.close();
+            showToast(`Could not open the room's world: ${err.message}`, 'error', 5000);
+            return;
+        } finally {
+            STATE.applyingRemote = false;
+        }
+        STATE.worldId = null;
+        STATE.worldName = message.world.metadata?.name || collab.room;
+    } else {
+        pending.forEach(key => {
+            onLocalBlockChange(key, null, STATE.blocks.has(key) ? STATE.blocks.get(key) : null);
+        });
+    }
+    applyRemoteOps(null, message.cells);
+    message.peers.forEach(addCollabPeer);
+
+    collab.status = 'online';
+    flushCollabOps();
+    updateCollabUI();
+    showToast(`Joined room "${collab.room}"`, 'success');
+}
+
+// ---- Operations ----
+
+function onLocalBlockChange(key, before, after) {
+    if (STATE.applyingRemote) return;
+
+    collab.clock++;
+    collab.stamps.set(key, [collab.clock, collab.id]);
+    // Only the latest state of a cell matters, so later changes replace earlier ones
+    collab.outbox.set(key, [key, after, collab.clock]);
+    if (!collab.flushTimer) {
+        collab.flushTimer = setTimeout(flushCollabOps, COLLAB_FLUSH_INTERVAL);
+    }
+}
+
+function flushCollabOps() {
+    clearTimeout(collab.flushTimer);
+    collab.flushTimer = null;
+    if (collab.outbox.size === 0 || collab.status !== 'online') return;
+
+    collab.socket.send(JSON.stringify({ type: 'ops', ops: Array.from(collab.outbox.values()) }));
+    collab.outbox.clear();
+}
+
+// A canonical "q,r,y" key inside the world; other players can send anything
+function isValidRemoteKey(key) {
+    if (typeof key !== 'string') return false;
+    const [q, r, y] = parseBlockKey(key);
+    return Number.isInteger(q) && Number.isInteger(r) && Number.isInteger(y) &&
+        y >= 0 && y < CONFIG.maxHeight && getBlockKey(q, r, y) === key;
+}
+
+// ops: [[key, materialIndex|null, clock]] from one peer, or with the peer
+// id as a fourth entry when `from` is null (the room's edits on joining)
+function applyRemoteOps(from, ops) {
+    if (!Array.isArray(ops)) return;
+
+    const written = new Set();
+    STATE.applyingRemote = true;
+    try {
+        ops.forEach(op => {
+            if (!Array.isArray(op)) return;
+            const [key, materialIndex, clock, opFrom = from] = op;
+            if (!isValidRemoteKey(key) || !Number.isInteger(clock)) return;
+            collab.clock = Math.max(collab.clock, clock);
+            const stamp = [clock, opFrom];
+            const current = collab.stamps.get(key);
+            if (current && !isNewerStamp(stamp, current)) return;
+            if (materialIndex !== null && !(Number.isInteger(materialIndex) && MATERIALS[materialIndex])) return;
+
+            collab.stamps.set(key, stamp);
+            collab.outbox.delete(key);
+            written.add(key);
+            setBlockAt(key, materialIndex);
+        });
+    } finally {
+        // Left set, every later local edit would skip history and the room
+        STATE.applyingRemote = false;
+    }
+
+    if (written.size > 0) {
+        dropHistoryOf(written);
+        scheduleAutosave();
+    }
+}
+
+// ---- Presence ----
+
+function addCollabPeer(info) {
+    if (collab.peers.has(info.id)) return;
+    collab.peers.set(info.id, {
+        id: info.id,
+        name: info.name,
+        color: info.color,
+        cell: null,
+        ghost: new GhostCells(info.color, 0.45)
+    });
+    updateCollabUI();
+}
+
+function removeCollabPeer(id) {
+    const peer = collab.peers.get(id);
+    if (!peer) return;
+    if (peer.ghost.mesh) {
+        scene.remove(peer.ghost.mesh);
+        peer.ghost.mesh.dispose();
+    }
+    peer.ghost.material.dispose();
+    collab.peers.delete(id);
+    updateCollabUI();
+}
+
+function setCollabCursor(id, cell) {
+    const peer = collab.peers.get(id);
+    if (!peer) return;
+    peer.cell = cell;
+    if (cell) {
+        peer.ghost.show([cell]);
+    } else {
+        peer.ghost.hide();
+    }
+}
+
+// Called every frame; sends the hovered cell when it changes
+function updateCollab() {
+    if (collab.status !== 'online') return;
+
+    const now = performance.now();
+    if (now - collab.cursorSentAt < COLLAB_CURSOR_INTERVAL) return;
+
+    const cell = STATE.hoveredBlock && STATE.hoveredBlock.y >= 0 ? STATE.hoveredBlock : null;
+    const key = cell ? getBlockKey(cell.q, cell.r, cell.y) : null;
+    if (key === collab.cursorKey) return;
+
+    collab.cursorKey = key;
+    collab.cursorSentAt = now;
+    collab.socket.send(JSON.stringify({ type: 'cursor', cell: cell && { q: cell.q, r: cell.r, y: cell.y } }));
+}
+
+function getCollabCursorMeshes() {
+    return Array.from(collab.peers.values(), peer => peer.ghost.mesh);
+}
+
+function refreshPresenceList() {
+    const list = document.getElementById('presence-list');
+    if (!list) return;
+    list.innerHTML = '';
+    list.classList.toggle('active', collab.status === 'online');
+
+    const addEntry = (name, color) => {
+        const entry = document.createElement('div');
+        entry.className = 'presence-entry';
+        const swatch = document.createElement('span');
+        swatch.className = 'presence-swatch';
+        swatch.style.background = color;
+        const label = document.createElement('span');
+        label.textContent = name;
+        entry.append(swatch, label);
+        list.appendChild(entry);
+    };
+
+    addEntry(`${collab.name || 'You'} (you)`, collab.color);
+    collab.peers.forEach(peer => addEntry(peer.name, peer.color));
+}
+
+// ---- Dialog ----
+
+function openCollabDialog() {
+    const overlay = document.getElementById('collabOverlay');
+    if (!overlay) return;
+
+    const settings = getCollabSettings();
+    document.getElementById('collab-server').value = collab.status === 'offline' ? settings.server : collab.socket.url.split('?')[0];
+    document.getElementById('collab-room').value = collab.room || settings.room;
+    document.getElementById('collab-name').value = collab.name || settings.name;
+    updateCollabUI();
+    overlay.classList.add('active');
+}
+
+// Invite links (?room=...&server=...) open the dialog once a world is up
+function openCollabInvite() {
+    if (new URLSearchParams(window.location.search).has('room')) openCollabDialog();
+}
+
+function closeCollabDialog() {
+    document.getElementById('collabOverlay')?.classList.remove('active');
+}
+
+function toggleCollab() {
+    if (collab.status !== 'offline') {
+        leaveCollab();
+        return;
+    }
+    joinCollab(
+        document.getElementById('collab-server').value.trim(),
+        document.getElementById('collab-room').value.trim(),
+        document.getElementById('collab-name').value.trim()
+    );
+}
+
+function copyCollabInvite() {
+    const room = document.getElementById('collab-room').value.trim();
+    if (!room) {
+        showToast('Enter a room name', 'warning');
+        return;
+    }
+    const url = new URL(window.location.href.split('#')[0]);
+    url.search = '';
+    url.searchParams.set('room', room);
+    url.searchParams.set('server', document.getElementById('collab-server').value.trim());
+
+    const copied = navigator.clipboard
+        ? navigator.clipboard.writeText(url.toString())
+        : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+        .then(() => showToast('Invite link copied', 'success'))
+        .catch(() => showToast(url.toString(), 'info', 10000));
+}
+
+function updateCollabUI() {
+    const info = document.getElementById('collab-info');
+    if (info) {
+        info.textContent = {
+            offline: 'Joining an existing room replaces the open world with the room\'s; save it first. Start the relay with "node server/relay.js".',
+            connecting: 'Connecting...',
+            online: `In room "${collab.room}" with ${collab.peers.size} other player${collab.peers.size === 1 ? '' : 's'}. Material edits are locked while connected.`
+        }[collab.status];
+    }
+
+    const button = document.getElementById('collab-connect-btn');
+    if (button) button.textContent = collab.status === 'offline' ? 'Join Room' : 'Leave Room';
+    ['collab-server', 'collab-room', 'collab-name'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = collab.status !== 'offline';
+    });
+    document.getElementById('collab-btn')?.classList.toggle('active', collab.status === 'online');
+    refreshPresenceList();
+}
+
+// ============================================================================
+// VR
+// ============================================================================
+
+// Immersive building through WebXR on top of the normal renderer. The
+// camera and both controllers ride on a rig group, and the rig's scale sets
+// how big the world looks: life-size keeps one world unit to a meter (the
+// walker's scale), tabletop shrinks the grid onto a table in front of the
+// player. The building hand aims like the mouse and shares its place and
+// remove code; the other hand holds the material palette and teleports.
+// Opening the page with ?xr=mock loads xr-mock.js in place of a headset.
+const VR_TABLETOP_SCALE = 30;       // World units per meter on the table
+const VR_TABLE_HEIGHT = 0.8;        // Meters above the floor
+const VR_TABLE_DISTANCE = 0.6;      // Meters in front of the player
+const VR_EYE_HEIGHT = 1.6;          // Until the headset reports its pose
+const VR_RAY_LENGTH = 5;            // Meters, when a ray hits nothing
+const VR_SWATCH_RADIUS = 0.018;     // Meters
+const VR_SWATCH_SPACING = 0.045;
+const VR_SWATCH_COLUMNS = 4;
+const VR_TELEPORT_COLOR = 0x38bdf8;
+
+const vr = {
+    supported: false,
+    session: null,
+    scale: 'tabletop',          // 'tabletop' or 'life'
+    rig: null,                  // Group carrying the camera and controllers
+    hands: { build: null, off: null },  // Controller target ray spaces by role; grips in userData
+    palette: null,              // Swatch group held by the off hand
+    pointedSwatch: null,        // Swatch under the building hand's ray
+    teleportGhost: null,
+    teleportTarget: null,       // Cell the off hand's trigger would move to
+    desktopCamera: null,        // Pose to return to when the session ends
+    fog: null                   // Desktop fog range, scaled with the rig
+};
+
+function setupVR() {
+    const mock = new URLSearchParams(window.location.search).get('xr') === 'mock';
+    const ready = mock ? loadVRMock() : Promise.resolve();
+
+    ready
+        .then(() => (navigator.xr ? navigator.xr.isSessionSupported('immersive-vr') : false))
+        .then(supported => {
+            vr.supported = supported;
+            updateVRButton();
+        })
+        .catch(err => console.warn('VR unavailable:', err));
+}
+
+function loadVRMock() {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'xr-mock.js';
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('xr-mock.js failed to load'));
+        document.head.appendChild(script);
+    });
+}
+
+function toggleVR() {
+    if (vr.session) {
+        exitVR();
+    } else {
+        enterVR();
+    }
+}
+
+function enterVR() {
+    if (!vr.supported || vr.session) return;
+    if (!vr.rig) createVRRig();
+
+    navigator.xr.requestSession('immersive-vr', { optionalFeatures: ['local-floor'] })
+        .then(session => {
+            startVRSession(session);
+            return renderer.xr.setSession(session);
+        })
+        .catch(err => {
+            if (vr.session) vr.session.end();
+            showToast(`Could not start VR: ${err.message}`, 'error');
+        });
+}
+
+function exitVR() {
+    if (vr.session) vr.session.end();
+}
+
+function startVRSession(session) {
+    if (STATE.mode !== 'orbit') setMode('orbit');
+    vr.session = session;
+    session.addEventListener('end', onVRSessionEnd);
+
+    vr.desktopCamera = { position: camera.position.clone(), quaternion: camera.quaternion.clone() };
+    vr.fog = [scene.fog.near, scene.fog.far];
+    controls.enabled = false;
+    buildVRPalette();
+
+    // Start out at whatever the desktop view was centered on
+    camera.position.set(0, VR_EYE_HEIGHT, 0);
+    camera.quaternion.identity();
+    vr.rig.add(camera);
+    placeVRRig(getStandingPoint(controls.target.x, controls.target.z));
+
+    renderer.xr.enabled = true;
+    document.getElementById('mode-indicator').textContent = 'VR Mode (ESC to exit)';
+    updateVRButton();
+}
+
+function onVRSessionEnd() {
+    vr.session = null;
+    renderer.xr.enabled = false;
+    STATE.isPlacing = false;
+    endStroke();
+
+    vr.rig.remove(camera);
+    camera.position.copy(vr.desktopCamera.position);
+    camera.quaternion.copy(vr.desktopCamera.quaternion);
+    camera.scale.set(1, 1, 1);
+    [scene.fog.near, scene.fog.far] = vr.fog;
+    vr.teleportGhost.hide();
+    vr.teleportTarget = null;
+    highlightMesh.visible = false;
+
+    controls.enabled = STATE.mode === 'orbit';
+    document.getElementById('mode-indicator').textContent = `${MODE_NAMES[STATE.mode]} Mode`;
+    // The headset left its own projection on the camera
+    onResize();
+    updateVRButton();
+}
+
+function createVRRig() {
+    vr.rig = new THREE.Group();
+    scene.add(vr.rig);
+
+    for (let i = 0; i < 2; i++) {
+        const controller = renderer.xr.getController(i);
+        controller.add(createVRRay());
+        controller.addEventListener('connected', event => assignVRHand(controller, event.data));
+        controller.addEventListener('disconnected', () => releaseVRHand(controller));
+        controller.addEventListener('selectstart', () => onVRTrigger(controller, true));
+        controller.addEventListener('selectend', () => onVRTrigger(controller, false));
+        controller.addEventListener('squeezestart', () => onVRGrip(controller, true));
+        controller.addEventListener('squeezeend', () => onVRGrip(controller, false));
+        vr.rig.add(controller);
+
+        // The palette is held in the hand rather than along its ray
+        controller.userData.grip = renderer.xr.getControllerGrip(i);
+        vr.rig.add(controller.userData.grip);
+    }
+
+    // Upright above the off hand, facing the player
+    vr.palette = new THREE.Group();
+    vr.palette.position.set(0, 0.05, -0.05);
+    vr.palette.rotation.x = -Math.PI / 8;
+    vr.teleportGhost = new GhostCells(VR_TELEPORT_COLOR, 0.35);
+}
+
+function createVRRay() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]);
+    const material = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6, fog: false });
+    const ray = new THREE.Line(geometry, material);
+    ray.scale.z = VR_RAY_LENGTH;
+    return ray;
+}
+
+// Left hands hold the palette; the other hand builds, whichever connects
+function assignVRHand(controller, inputSource) {
+    let role = inputSource.handedness === 'left' ? 'off' : 'build';
+    if (vr.hands[role]) role = role === 'off' ? 'build' : 'off';
+    if (vr.hands[role]) return;
+
+    vr.hands[role] = controller;
+    controller.userData.role = role;
+    if (role === 'off') controller.userData.grip.add(vr.palette);
+}
+
+function releaseVRHand(controller) {
+    const role = controller.userData.role;
+    if (!role) return;
+    vr.hands[role] = null;
+    controller.userData.role = null;
+    if (role === 'off') {
+        controller.userData.grip.remove(vr.palette);
+        vr.teleportGhost.hide();
+        vr.teleportTarget = null;
+    }
+}
+
+function buildVRPalette() {
+    vr.palette.children.slice().forEach(swatch => {
+        vr.palette.remove(swatch);
+        swatch.material.dispose();
+    });
+
+    const geometry = new THREE.CylinderGeometry(VR_SWATCH_RADIUS, VR_SWATCH_RADIUS, 0.008, 6).rotateX(Math.PI / 2);
+    MATERIALS.forEach((mat, index) => {
+        const swatch = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: mat.color, fog: false }));
+        const column = index % VR_SWATCH_COLUMNS;
+        const row = Math.floor(index / VR_SWATCH_COLUMNS);
+        swatch.position.set((column - (VR_SWATCH_COLUMNS - 1) / 2) * VR_SWATCH_SPACING, row * VR_SWATCH_SPACING, 0);
+        swatch.userData.materialIndex = index;
+        vr.palette.add(swatch);
+    });
+}
+
+function onVRTrigger(controller, down) {
+    audio.init();
+    const role = controller.userData.role;
+
+    if (role === 'off') {
+        if (down) teleportVR();
+    } else if (role === 'build') {
+        if (!down) {
+            STATE.isPlacing = false;
+            endStroke();
+        } else if (vr.pointedSwatch) {
+            selectMaterial(vr.pointedSwatch.userData.materialIndex);
+        } else {
+            // Same as a left click; holding it paints like fly mode
+            beginStroke();
+            STATE.isPlacing = STATE.tool === 'build' && !STATE.floating;
+            primaryAction();
+        }
+    }
+}
+
+function onVRGrip(controller, down) {
+    const role = controller.userData.role;
+
+    if (role === 'off') {
+        if (down) toggleVRScale();
+    } else if (role === 'build') {
+        // Same as a right click
+        if (down) {
+            beginStroke();
+            secondaryAction();
+        } else {
+            endStroke();
+        }
+    }
+}
+
+// The ray a controller points along, in world space
+function setRayFromController(ray, controller) {
+    const rotation = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+    ray.origin.setFromMatrixPosition(controller.matrixWorld);
+    ray.direction.set(0, 0, -1).applyMatrix4(rotation).normalize();
+}
+
+// Rays are children of the rig, so world distances shrink by its scale
+function setVRRayLength(controller, distance) {
+    controller.children[0].scale.z = distance === null ? VR_RAY_LENGTH : distance / vr.rig.scale.x;
+}
+
+// Called every frame while presenting, in place of the camera controls
+function updateVR() {
+    vr.rig.updateMatrixWorld(true);
+
+    const build = vr.hands.build;
+    if (build) {
+        const previous = STATE.hoveredHit;
+        const swatchHit = getPointedSwatch(build);
+        vr.pointedSwatch = swatchHit ? swatchHit.object : null;
+
+        if (swatchHit) {
+            STATE.hoveredBlock = null;
+            STATE.hoveredHit = null;
+            highlightMesh.visible = false;
+            setVRRayLength(build, swatchHit.distance);
+        } else {
+            updateRaycast();
+            const hit = STATE.hoveredHit;
+            setVRRayLength(build, hit ? hit.distance : null);
+
+            // A held trigger paints across the layer it started on. Side
+            // faces are skipped so a stroke can't grow toward the hand
+            // by itself as each new block catches the ray.
+            const moved = hit && (!previous || getBlockKey(hit.place.q, hit.place.r, hit.place.y) !==
+                getBlockKey(previous.place.q, previous.place.r, previous.place.y));
+            if (STATE.isPlacing && STATE.tool === 'build' && moved && hit.faceName === 'top') {
+                placeBlock();
+            }
+        }
+    }
+
+    if (vr.hands.off) updateVRTeleport(vr.hands.off);
+
+    vr.palette.children.forEach(swatch => {
+        const selected = swatch.userData.materialIndex === STATE.currentMaterial;
+        swatch.scale.setScalar(swatch === vr.pointedSwatch ? 1.2 : selected ? 1.4 : 1);
+    });
+}
+
+function getPointedSwatch(controller) {
+    if (!vr.hands.off || vr.palette.children.length === 0) return null;
+    const swatchRaycaster = new THREE.Raycaster();
+    setRayFromController(swatchRaycaster.ray, controller);
+    return swatchRaycaster.intersectObjects(vr.palette.children)[0] || null;
+}
+
+// Teleports land on the top of a column: a block's top or bare ground
+function updateVRTeleport(controller) {
+    const ray = new THREE.Ray();
+    setRayFromController(ray, controller);
+    const hit = pickBlock(ray, CONFIG.pickDistance);
+    setVRRayLength(controller, hit ? hit.distance : null);
+
+    vr.teleportTarget = hit && hit.faceName === 'top' ? hit.place : null;
+    if (vr.teleportTarget) {
+        const { q, r, y } = vr.teleportTarget;
+        vr.teleportGhost.show([{ q, r, y: Math.max(0, y) }]);
+    } else {
+        vr.teleportGhost.hide();
+    }
+}
+
+function teleportVR() {
+    const target = vr.teleportTarget;
+    if (!target) return;
+    const { x, z } = hexToWorld(target.q, target.r);
+    placeVRRig(new THREE.Vector3(x, getLayerBottom(Math.max(0, target.y)), z));
+}
+
+function toggleVRScale() {
+    // Keep the spot underfoot, or the one on the table, across the switch
+    vr.rig.updateMatrixWorld();
+    const anchor = vr.rig.localToWorld(getVRAnchor());
+    vr.scale = vr.scale === 'tabletop' ? 'life' : 'tabletop';
+    placeVRRig(getStandingPoint(anchor.x, anchor.z));
+    showToast(vr.scale === 'tabletop' ? 'Tabletop scale' : 'Life-size scale', 'info');
+}
+
+// Top of the column under a world position
+function getStandingPoint(x, z) {
+    const { q, r } = worldToHex(x, z);
+    const center = hexToWorld(q, r);
+    return new THREE.Vector3(center.x, getLayerBottom(getTopBlockAt(q, r) + 1), center.z);
+}
+
+// Rig-local point (in meters) that the focus of the world lines up with:
+// the player's feet at life size, the middle of the table on the tabletop.
+// The camera holds the headset's pose within the rig.
+function getVRAnchor() {
+    const anchor = new THREE.Vector3(camera.position.x, 0, camera.position.z);
+    if (vr.scale === 'tabletop') {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion).setY(0);
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+        anchor.addScaledVector(forward.normalize(), VR_TABLE_DISTANCE);
+        anchor.y = VR_TABLE_HEIGHT;
+    }
+    return anchor;
+}
+
+function placeVRRig(focus) {
+    const scale = vr.scale === 'tabletop' ? VR_TABLETOP_SCALE : 1;
+    vr.rig.scale.setScalar(scale);
+    vr.rig.position.copy(focus).addScaledVector(getVRAnchor(), -scale);
+
+    // Fog keeps its distance in meters, or the table would vanish in it
+    scene.fog.near = vr.fog[0] * scale;
+    scene.fog.far = vr.fog[1] * scale;
+}
+
+// Saves keep the desktop view rather than the headset's spot on the rig
+function getDesktopCameraPosition() {
+    return vr.session ? vr.desktopCamera.position : camera.position;
+}
+
+function updateVRButton() {
+    const btn = document.getElementById('vr-btn');
+    if (!btn) return;
+    btn.hidden = !vr.supported;
+    btn.classList.toggle('active', Boolean(vr.session));
+    btn.title = vr.session ? 'Exit VR' : 'Enter VR';
+}
+
+// ============================================================================
+// Terrain Generation
+// ============================================================================
+
+const TERRAIN_PRESETS = {
+    hills: { name: 'Rolling Hills', scale: 0.08, octaves: 4, base: 1, amplitude: 8, waterLevel: 2 },
+    islands: { name: 'Islands', scale: 0.1, octaves: 4, base: 0, amplitude: 13, waterLevel: 3, falloff: true },
+    mountains: { name: 'Mountains', scale: 0.06, octaves: 5, base: 1, amplitude: 16, waterLevel: 1, ridged: true },
+    flat: { name: 'Flat', flat: true, base: 2, amplitude: 0, waterLevel: -1 }
+};
+
+// Small, fast seeded PRNG; good enough for terrain
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashSeed(text) {
+    // FNV-1a, so any typed seed maps to a stable 32-bit number
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function createValueNoise(random) {
+    // Lattice of random values behind a shuffled permutation table
+    const size = 256;
+    const values = new Float32Array(size);
+    const perm = new Uint8Array(size * 2);
+    for (let i = 0; i < size; i++) {
+        values[i] = random();
+        perm[i] = i;
+    }
+    for (let i = size - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    for (let i = 0; i < size; i++) perm[i + size] = perm[i];
+
+    const lattice = (x, y) => values[perm[(x & 255) + perm[y & 255]]];
+    const smooth = t => t * t * (3 - 2 * t);
+
+    return (x, y) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const sx = smooth(x - x0);
+        const sy = smooth(y - y0);
+        const top = lattice(x0, y0) + (lattice(x0 + 1, y0) - lattice(x0, y0)) * sx;
+        const bottom = lattice(x0, y0 + 1) + (lattice(x0 + 1, y0 + 1) - lattice(x0, y0 + 1)) * sx;
+        return top + (bottom - top) * sy;
+    };
+}
+
+function fractalNoise(noise, x, y, octaves, ridged) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+        let value = noise(x * frequency, y * frequency);
+        if (ridged) value = 1 - Math.abs(value * 2 - 1);
+        sum += value * amplitude;
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+/**
+ * Build a world over the CONFIG.gridSize hex radius. Pure: the same seed
+ * and options always produce the same blocks.
+ */
+function generateTerrain({ seed, preset, amplitude, waterLevel }) {
+    const settings = TERRAIN_PRESETS[preset] || TERRAIN_PRESETS.hills;
+    const random = mulberry32(hashSeed(String(seed)));
+    const noise = createValueNoise(random);
+    const radius = CONFIG.gridSize;
+    const maxY = CONFIG.maxHeight - 1;
+
+    // New worlds get the default palette, whatever this one has
+    const stone = findMaterialIndex('Stone', DEFAULT_MATERIALS);
+    const grass = findMaterialIndex('Grass', DEFAULT_MATERIALS);
+    const sand = findMaterialIndex('Sand', DEFAULT_MATERIALS);
+    const water = findMaterialIndex('Water', DEFAULT_MATERIALS);
+
+    // Random offset so different seeds sample different parts of the noise
+    const offsetX = random() * 1000;
+    const offsetZ = random() * 1000;
+    const blocks = new Map();
+
+    for (let q = -radius; q <= radius; q++) {
+        for (let r = Math.max(-radius, -q - radius); r <= Math.min(radius, -q + radius); r++) {
+            const { x, z } = hexToWorld(q, r);
+            let height = settings.base;
+
+            if (!settings.flat) {
+                let n = fractalNoise(noise, offsetX + x * settings.scale, offsetZ + z * settings.scale,
+                    settings.octaves, settings.ridged);
+                // Summed octaves bunch up around the middle; stretch back to 0-1
+                n = Math.max(0, Math.min(1, (n - 0.25) * 2));
+                if (settings.falloff) {
+                    const edge = hexDistance(0, 0, q, r) / radius;
+                    n *= Math.max(0, 1 - edge * edge);
+                }
+                height += Math.round(n * amplitude);
+            }
+
+            const top = Math.max(0, Math.min(maxY, height));
+            for (let y = 0; y <= top; y++) {
+                let material = stone;
+                if (y === top) material = top <= waterLevel + 1 ? sand : grass;
+                blocks.set(getBlockKey(q, r, y), material);
+            }
+            for (let y = top + 1; y <= Math.min(waterLevel, maxY); y++) {
+                blocks.set(getBlockKey(q, r, y), water);
+            }
+        }
+    }
 
-    // Get all block meshes
-    const meshes = Array.from(blockMeshes.values());
-    meshes.push(groundMesh);
+    return blocks;
+}
 
-    const intersects = raycaster.intersectObjects(meshes);
+function getTopColumns(blocks) {
+    // "q,r" -> { q, r, y, materialIndex } of the highest block per column
+    const columns = new Map();
+    for (const [key, materialIndex] of blocks) {
+        const [q, r, y] = parseBlockKey(key);
+        const columnKey = `${q},${r}`;
+        const column = columns.get(columnKey);
+        if (!column || y > column.y) {
+            columns.set(columnKey, { q, r, y, materialIndex });
+        }
+    }
+    return columns;
+}
 
-    if (intersects.length > 0) {
-        const hit = intersects[0];
+function shadeColor(hex, amount) {
+    // Lighten (amount > 0) or darken (amount < 0) a #rrggbb color
+    const color = new THREE.Color(hex);
+    const target = amount > 0 ? 1 : 0;
+    color.r += (target - color.r) * Math.abs(amount);
+    color.g += (target - color.g) * Math.abs(amount);
+    color.b += (target - color.b) * Math.abs(amount);
+    return `#${color.getHexString()}`;
+}
 
-        if (hit.object === groundMesh) {
-            // Hit ground - show placement position
-            const hex = worldToHex(hit.point.x, hit.point.z);
-            const worldPos = hexToWorld(hex.q, hex.r);
-            highlightMesh.position.set(worldPos.x, 0, worldPos.z);
-            highlightMesh.visible = true;
-            STATE.hoveredBlock = { q: hex.q, r: hex.r, y: -1 };
-            STATE.hoveredFace = 'top';
-        } else {
-            // Hit block - show next position
-            const block = hit.object.userData;
-            const normal = hit.face.normal.clone();
-            hit.object.localToWorld(normal.add(hit.object.position)).sub(hit.object.position);
+function traceHex(ctx, cx, cy, size) {
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+        // Pointy-top, matching hexGeometry seen from above
+        const angle = Math.PI / 3 * i - Math.PI / 2;
+        const px = cx + Math.cos(angle) * size;
+        const py = cy + Math.sin(angle) * size;
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    }
+    ctx.closePath();
+}
 
-            let newQ = block.q;
-            let newR = block.r;
-            let newY = block.y;
+function drawTerrainPreview(canvas, blocks, radius = CONFIG.gridSize, palette = MATERIALS) {
+    const ctx = canvas.getContext('2d');
+    // World extent of the grid, with a little margin
+    const extent = (radius + 1) * Math.sqrt(3) * CONFIG.hexRadius;
+    const scale = Math.min(canvas.width, canvas.height) / (extent * 2);
+
+    ctx.fillStyle = '#0f0f23';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (const column of getTopColumns(blocks).values()) {
+        const { x, z } = hexToWorld(column.q, column.r);
+        const shade = (column.y / (CONFIG.maxHeight - 1)) * 0.6 - 0.3;
+        ctx.fillStyle = shadeColor(MATERIALS[column.materialIndex].color, shade);
+        traceHex(ctx, canvas.width / 2 + x * scale, canvas.height / 2 + z * scale,
+            CONFIG.hexRadius * scale + 0.5);
+        ctx.fill();
+    }
+}
 
-            if (Math.abs(normal.y) > 0.5) {
-                newY = normal.y > 0 ? block.y + 1 : block.y - 1;
-            } else {
-                // Side placement - approximate hex neighbor
-                const angle = Math.atan2(normal.z, normal.x);
-                const dir = Math.round(angle / (Math.PI / 3));
-                const neighbors = [
-                    [1, 0], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, -1]
-                ];
-                const idx = ((dir % 6) + 6) % 6;
-                newQ += neighbors[idx][0];
-                newR += neighbors[idx][1];
-            }
+function randomSeed() {
+    return Math.floor(Math.random() * 1e9).toString(36);
+}
 
-            const worldPos = hexToWorld(newQ, newR);
-            highlightMesh.position.set(worldPos.x, newY * CONFIG.hexHeight, worldPos.z);
-            highlightMesh.visible = true;
-            STATE.hoveredBlock = { q: newQ, r: newR, y: newY };
-            STATE.hoveredFace = normal.y > 0.5 ? 'top' : 'side';
-        }
-    } else {
-        highlightMesh.visible = false;
-        STATE.hoveredBlock = null;
+function readTerrainOptions() {
+    return {
+        seed: document.getElementById('terrain-seed').value.trim() || '0',
+        preset: document.getElementById('terrain-preset').value,
+        amplitude: Number(document.getElementById('terrain-height').value),
+        waterLevel: Number(document.getElementById('terrain-water').value)
+    };
+}
+
+function openNewWorldDialog() {
+    const overlay = document.getElementById('newWorldOverlay');
+    if (!overlay) return;
+
+    const presetSelect = document.getElementById('terrain-preset');
+    if (presetSelect.options.length === 0) {
+        Object.entries(TERRAIN_PRESETS).forEach(([id, preset]) => {
+            presetSelect.add(new Option(preset.name, id));
+        });
     }
+
+    document.getElementById('terrain-seed').value = randomSeed();
+    applyTerrainPreset(presetSelect.value);
+    overlay.classList.add('active');
 }
 
-function placeBlock() {
-    if (!STATE.hoveredBlock) return;
+function closeNewWorldDialog() {
+    document.getElementById('newWorldOverlay')?.classList.remove('active');
+}
 
-    const { q, r, y } = STATE.hoveredBlock;
-    const placeY = y === -1 ? 0 : y;
+function applyTerrainPreset(id) {
+    // Load the preset's defaults into the sliders
+    const preset = TERRAIN_PRESETS[id];
+    document.getElementById('terrain-height').value = preset.amplitude;
+    document.getElementById('terrain-water').value = preset.waterLevel;
+    updateTerrainPreview();
+}
 
-    if (placeY >= 0 && placeY < CONFIG.maxHeight) {
-        if (addBlock(q, r, placeY, STATE.currentMaterial)) {
-            saveState();
-        }
-    }
+function updateTerrainPreview() {
+    const options = readTerrainOptions();
+    document.getElementById('terrain-height-value').textContent = options.amplitude;
+    document.getElementById('terrain-water-value').textContent =
+        options.waterLevel < 0 ? 'None' : options.waterLevel;
+
+    const blocks = generateTerrain(options);
+    drawTerrainPreview(document.getElementById('terrain-preview'), blocks, CONFIG.gridSize, DEFAULT_MATERIALS);
+    document.getElementById('terrain-info').textContent = `${blocks.size} blocks`;
 }
 
-function removeBlockAtCursor() {
-    raycaster.setFromCamera(mouse, camera);
-    const meshes = Array.from(blockMeshes.values());
-    const intersects = raycaster.intersectObjects(meshes);
+function createTerrainWorld() {
+    const options = readTerrainOptions();
+    const name = document.getElementById('terrain-name').value.trim() || 'Untitled World';
+
+    // Terrain picks materials by name from the default palette
+    if (STATE.readOnly) setReadOnly(false);
+    if (collab.status !== 'offline') leaveCollab();
+    setWorldPalette(DEFAULT_MATERIALS);
+    applyLightingSettings(DEFAULT_LIGHTING);
+    setBookmarks([]);
+    loadState(generateTerrain(options));
+    resetHistory();
+    STATE.worldId = null;
+    STATE.worldName = name;
+
+    closeNewWorldDialog();
+    closeWorldsDialog();
+    showToast(`Created "${name}" from seed ${options.seed}`, 'success');
+}
 
-    if (intersects.length > 0) {
-        const block = intersects[0].object.userData;
-        if (removeBlock(block.q, block.r, block.y)) {
-            saveState();
-        }
+// ============================================================================
+// Materials
+// ============================================================================
+
+// Blocks store an index into MATERIALS, so reordering or deleting entries
+// rewrites every stored index (blocks, undo history, clipboard) in one pass.
+const MATERIAL_BEHAVIORS = {
+    flows: 'Flows (water)',
+    converts_water: 'Turns water to stone (lava)',
+    destroys: 'Burns out (fire)',
+    falls: 'Falls (sand)'
+};
+const MATERIAL_KINDS = {
+    solid: 'Solid',
+    water: 'Water (clear, waves)',
+    lava: 'Lava (glows)',
+    fire: 'Fire (glows, flickers)',
+    ice: 'Ice (glossy, clear)'
+};
+const MAX_MATERIALS = 64;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+let editingMaterial = 0;
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function normalizeMaterial(entry) {
+    if (!entry || typeof entry.name !== 'string' || !HEX_COLOR_PATTERN.test(entry.color)) {
+        return null;
     }
+
+    return {
+        name: entry.name.trim().slice(0, 24) || 'Material',
+        color: entry.color.toLowerCase(),
+        roughness: clampNumber(entry.roughness, 0, 1, MATERIAL_DEFAULTS.roughness),
+        metalness: clampNumber(entry.metalness, 0, 1, MATERIAL_DEFAULTS.metalness),
+        opacity: clampNumber(entry.opacity, 0.1, 1, MATERIAL_DEFAULTS.opacity),
+        emissive: clampNumber(entry.emissive, 0, 1, MATERIAL_DEFAULTS.emissive),
+        kind: Object.prototype.hasOwnProperty.call(MATERIAL_KINDS, entry.kind) ? entry.kind : inferMaterialKind(entry),
+        behavior: Object.prototype.hasOwnProperty.call(MATERIAL_BEHAVIORS, entry.behavior) ? entry.behavior : null,
+        flammable: Boolean(entry.flammable)
+    };
 }
 
-function toggleMode() {
-    setMode(STATE.mode === 'orbit' ? 'fly' : 'orbit');
+function inferMaterialKind(entry) {
+    // Palettes saved before materials had a kind
+    if (entry.behavior === 'flows') return 'water';
+    if (entry.behavior === 'converts_water') return 'lava';
+    if (entry.behavior === 'destroys') return 'fire';
+    return entry.name === 'Ice' ? 'ice' : 'solid';
 }
 
-function setMode(mode) {
-    STATE.mode = mode;
-    audio.playModeSwitch();
+function isCurrentPalette(palette) {
+    return palette.length === MATERIALS.length &&
+        palette.every((mat, index) => JSON.stringify(mat) === JSON.stringify(MATERIALS[index]));
+}
 
-    if (mode === 'orbit') {
-        controls.enabled = true;
-        document.exitPointerLock();
-        document.getElementById('crosshair').style.display = 'none';
-        document.getElementById('mode-indicator').textContent = 'Orbit Mode';
-    } else {
-        controls.enabled = false;
-        document.getElementById('crosshair').style.display = 'block';
-        document.getElementById('mode-indicator').textContent = 'Fly Mode (ESC to exit)';
-        // Store current camera orientation
-        const dir = new THREE.Vector3();
-        camera.getWorldDirection(dir);
-        STATE.yaw = Math.atan2(-dir.x, -dir.z);
-        STATE.pitch = Math.asin(dir.y);
-    }
+/**
+ * Replace the whole palette, e.g. when a world loads. Blocks are drawn by
+ * palette index, so the world is emptied first and the caller refills it.
+ */
+function setWorldPalette(palette) {
+    cancelFloating();
+    loadState(new Map());
 
-    updateModeButton();
+    MATERIALS.splice(0, MATERIALS.length, ...palette.map(normalizeMaterial).filter(Boolean));
+    MATERIALS.forEach((mat, index) => refreshBlockMaterial(index));
+
+    // Clipboard indices belong to the previous palette
+    STATE.clipboard = null;
+    STATE.currentMaterial = Math.min(STATE.currentMaterial, MATERIALS.length - 1);
+    refreshMaterialUI();
 }
 
-function updateFlyMovement() {
-    if (STATE.mode !== 'fly') return;
+function addMaterial() {
+    if (collab.status !== 'offline') {
+        showToast('Materials can\'t be edited while collaborating', 'warning');
+        return -1;
+    }
+    if (MATERIALS.length >= MAX_MATERIALS) {
+        showToast(`A palette holds at most ${MAX_MATERIALS} materials`, 'warning');
+        return -1;
+    }
 
-    const speed = CONFIG.flySpeed * (STATE.sprint ? CONFIG.sprintMultiplier : 1);
+    // A floating stamp's new materials would take the same index
+    cancelFloating();
+    dropStampRedo();
+    const source = MATERIALS[editingMaterial] || MATERIALS[0];
+    MATERIALS.push(Object.assign({}, source, { name: `${source.name} copy` }));
+    const index = MATERIALS.length - 1;
+    editingMaterial = index;
+    refreshBlockMaterial(index);
+    refreshMaterialUI();
+    scheduleAutosave();
+    return index;
+}
 
-    // Direction vectors
-    const forward = new THREE.Vector3(
-        -Math.sin(STATE.yaw) * Math.cos(STATE.pitch),
-        Math.sin(STATE.pitch),
-        -Math.cos(STATE.yaw) * Math.cos(STATE.pitch)
-    );
+function updateMaterial(index, changes) {
+    const mat = normalizeMaterial(Object.assign({}, MATERIALS[index], changes));
+    if (!mat) return;
 
-    const right = new THREE.Vector3(
-        Math.cos(STATE.yaw),
-        0,
-        -Math.sin(STATE.yaw)
-    );
+    MATERIALS[index] = mat;
+    refreshBlockMaterial(index);
+    refreshMaterialUI();
+    scheduleAutosave();
+}
 
-    const velocity = new THREE.Vector3();
+function countMaterialUse(index) {
+    let count = 0;
+    for (const materialIndex of STATE.blocks.values()) {
+        if (materialIndex === index) count++;
+    }
+    return count;
+}
 
-    if (STATE.moveForward) velocity.add(forward);
-    if (STATE.moveBackward) velocity.sub(forward);
-    if (STATE.moveRight) velocity.add(right);
-    if (STATE.moveLeft) velocity.sub(right);
-    if (STATE.moveUp) velocity.y += 1;
-    if (STATE.moveDown) velocity.y -= 1;
+function historyUsesMaterial(index) {
+    return STATE.history.some(entry => entry.changes.some(([, before, after]) => before === index || after === index));
+}
 
-    if (velocity.length() > 0) {
-        velocity.normalize().multiplyScalar(speed);
-        camera.position.add(velocity);
+/**
+ * Rewrite stored material indices. `map[oldIndex]` is the new index, or
+ * undefined for a material that no block, pending edit or history entry uses.
+ */
+function remapMaterials(map) {
+    const remap = index => (index === null ? null : map[index]);
+
+    for (const [key, materialIndex] of STATE.blocks) {
+        STATE.blocks.set(key, map[materialIndex]);
+    }
+    STATE.history.forEach(entry => {
+        entry.changes = entry.changes.map(([key, before, after]) => [key, remap(before), remap(after)]);
+    });
+    STATE.pendingChanges.forEach(change => {
+        change.before = remap(change.before);
+        change.after = remap(change.after);
+    });
+    if (STATE.clipboard) {
+        STATE.clipboard = STATE.clipboard
+            .filter(cell => map[cell.materialIndex] !== undefined)
+            .map(cell => Object.assign({}, cell, { materialIndex: map[cell.materialIndex] }));
     }
 
-    // Update camera look direction
-    camera.rotation.order = 'YXZ';
-    camera.rotation.y = STATE.yaw;
-    camera.rotation.x = STATE.pitch;
+    // Batches and GPU materials follow their palette entry to its new index
+    const batches = new Map(blockBatches);
+    const materials = blockMaterials.slice();
+    blockBatches.clear();
+    blockMaterials.length = 0;
+    batches.forEach((batch, index) => {
+        if (map[index] !== undefined) {
+            blockBatches.set(map[index], batch);
+        } else {
+            scene.remove(batch.mesh);
+            batch.mesh.dispose();
+        }
+    });
+    materials.forEach((material, index) => {
+        if (map[index] !== undefined) {
+            blockMaterials[map[index]] = material;
+        } else if (material) {
+            material.dispose();
+        }
+    });
+
+    STATE.currentMaterial = map[STATE.currentMaterial] !== undefined ? map[STATE.currentMaterial] : 0;
+    editingMaterial = map[editingMaterial] !== undefined ? map[editingMaterial] : 0;
 }
 
-// ============================================================================
-// History (Undo/Redo)
-// ============================================================================
+function moveMaterial(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= MATERIALS.length) return;
+
+    cancelFloating();
+    dropStampRedo();
+    const map = MATERIALS.map((mat, i) => i);
+    map[index] = target;
+    map[target] = index;
+
+    const [mat] = MATERIALS.splice(index, 1);
+    MATERIALS.splice(target, 0, mat);
+    remapMaterials(map);
+    refreshMaterialUI();
+    scheduleAutosave();
+}
 
-function saveState() {
-    // Remove future states if we're not at the end
-    if (STATE.historyIndex < STATE.history.length - 1) {
-        STATE.history = STATE.history.slice(0, STATE.historyIndex + 1);
+function deleteMaterial(index) {
+    if (MATERIALS.length <= 1) {
+        showToast('A palette needs at least one material', 'warning');
+        return false;
     }
 
-    // Save current state
-    const snapshot = new Map(STATE.blocks);
-    STATE.history.push(snapshot);
-    STATE.historyIndex = STATE.history.length - 1;
+    const used = countMaterialUse(index);
+    if (used > 0) {
+        showToast(`${used} blocks still use ${MATERIALS[index].name}; replace them first`, 'warning', 5000);
+        return false;
+    }
 
-    // Limit history
-    if (STATE.history.length > 50) {
-        STATE.history.shift();
-        STATE.historyIndex--;
+    cancelFloating();
+    saveState();
+    dropStampRedo();
+    if (historyUsesMaterial(index)) {
+        // Undoing back into a deleted material would have nothing to draw
+        resetHistory();
+        showToast(`Undo history cleared; it used ${MATERIALS[index].name}`, 'info');
     }
-}
 
-function undo() {
-    if (STATE.historyIndex <= 0) return;
-    STATE.historyIndex--;
-    loadState(STATE.history[STATE.historyIndex]);
-    audio.playSelect();
+    const map = MATERIALS.map((mat, i) => (i < index ? i : i > index ? i - 1 : undefined));
+    MATERIALS.splice(index, 1);
+    remapMaterials(map);
+    refreshMaterialUI();
+    scheduleAutosave();
+    return true;
 }
 
-function redo() {
-    if (STATE.historyIndex >= STATE.history.length - 1) return;
-    STATE.historyIndex++;
-    loadState(STATE.history[STATE.historyIndex]);
-    audio.playSelect();
+function refreshMaterialUI() {
+    createMaterialPalette();
+    updateReplaceOptions();
+    selectMaterial(STATE.currentMaterial, false);
+    if (document.getElementById('materialsOverlay')?.classList.contains('active')) {
+        refreshMaterialEditor();
+    }
+    scheduleMapDraw();
 }
 
-function loadState(snapshot) {
-    // Remove all current blocks
-    for (const [key, mesh] of blockMeshes) {
-        scene.remove(mesh);
-        mesh.geometry.dispose();
-        mesh.material.dispose();
+function openMaterialEditor() {
+    if (guardReadOnly()) return;
+    // Blocks refer to palette indices, which aren't synced between players
+    if (collab.status !== 'offline') {
+        showToast('Materials can\'t be edited while collaborating', 'warning');
+        return;
     }
-    blockMeshes.clear();
-    STATE.blocks.clear();
+    const overlay = document.getElementById('materialsOverlay');
+    if (!overlay) return;
 
-    // Add blocks from snapshot
-    for (const [key, materialIndex] of snapshot) {
-        const [q, r, y] = key.split(',').map(Number);
-        addBlock(q, r, y, materialIndex, false);
+    editingMaterial = STATE.currentMaterial;
+    const kindSelect = document.getElementById('mat-kind');
+    if (kindSelect.options.length === 0) {
+        Object.entries(MATERIAL_KINDS).forEach(([id, label]) => kindSelect.add(new Option(label, id)));
+    }
+    const behaviorSelect = document.getElementById('mat-behavior');
+    if (behaviorSelect.options.length === 0) {
+        behaviorSelect.add(new Option('None', ''));
+        Object.entries(MATERIAL_BEHAVIORS).forEach(([id, label]) => behaviorSelect.add(new Option(label, id)));
     }
+
+    overlay.classList.add('active');
+    refreshMaterialEditor();
+}
+
+function closeMaterialEditor() {
+    document.getElementById('materialsOverlay')?.classList.remove('active');
+}
+
+function refreshMaterialEditor() {
+    const list = document.getElementById('material-editor-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    MATERIALS.forEach((mat, index) => {
+        const item = document.createElement('button');
+        item.className = 'material-editor-item' + (index === editingMaterial ? ' active' : '');
+        const swatch = document.createElement('span');
+        swatch.className = 'material-swatch';
+        swatch.style.background = mat.color;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(mat.name));
+        item.onclick = () => {
+            editingMaterial = index;
+            refreshMaterialEditor();
+        };
+        list.appendChild(item);
+    });
+
+    const mat = MATERIALS[editingMaterial];
+    const setField = (id, value) => {
+        const input = document.getElementById(id);
+        // Don't fight the user over the field they are typing in
+        if (input && document.activeElement !== input) input.value = value;
+    };
+    setField('mat-name', mat.name);
+    setField('mat-color', mat.color);
+    setField('mat-roughness', mat.roughness);
+    setField('mat-metalness', mat.metalness);
+    setField('mat-opacity', mat.opacity);
+    setField('mat-emissive', mat.emissive);
+    setField('mat-kind', mat.kind);
+    setField('mat-behavior', mat.behavior || '');
+    document.getElementById('mat-flammable').checked = mat.flammable;
+    document.getElementById('mat-usage').textContent = `${countMaterialUse(editingMaterial)} blocks`;
+}
+
+function readMaterialEditor() {
+    updateMaterial(editingMaterial, {
+        name: document.getElementById('mat-name').value,
+        color: document.getElementById('mat-color').value,
+        roughness: document.getElementById('mat-roughness').value,
+        metalness: document.getElementById('mat-metalness').value,
+        opacity: document.getElementById('mat-opacity').value,
+        emissive: document.getElementById('mat-emissive').value,
+        kind: document.getElementById('mat-kind').value,
+        behavior: document.getElementById('mat-behavior').value || null,
+        flammable: document.getElementById('mat-flammable').checked
+    });
 }
 
 // ============================================================================
@@ -856,11 +7568,21 @@ function loadState(snapshot) {
 
 function setupUI() {
     createMaterialPalette();
+    updateReplaceOptions();
+    updateSelectionPanel();
     updateBrushDisplay();
+    updateSliceUI();
     updateModeButton();
+    updateSimulationUI();
+    updateQualityButton();
+    updateLightingUI();
+    renderHelpKeys();
 }
 
 function createMaterialPalette() {
+    // Phones pick from the same palette in a bottom sheet
+    createMobileMaterialGrid();
+
     const palette = document.getElementById('material-palette');
     if (!palette) return;
 
@@ -885,29 +7607,235 @@ function createMaterialPalette() {
     });
 }
 
-function selectMaterial(index) {
+// `action` ({ label, onClick }) adds a button; a duration of Infinity keeps
+// the toast up until that button is pressed
+function showToast(message, type = 'info', duration = 3000, action = null) {
+    const container = document.getElementById('toastContainer');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    container.appendChild(toast);
+
+    const hide = () => {
+        toast.classList.add('hiding');
+        toast.addEventListener('animationend', () => toast.remove());
+    };
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'tool-btn active toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            hide();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    if (duration !== Infinity) setTimeout(hide, duration);
+}
+
+function openWorldsDialog() {
+    const overlay = document.getElementById('worldsOverlay');
+    if (!overlay) return;
+
+    document.getElementById('world-name-input').value = STATE.worldName;
+    overlay.classList.add('active');
+    refreshWorldList();
+}
+
+function closeWorldsDialog() {
+    document.getElementById('worldsOverlay')?.classList.remove('active');
+}
+
+function refreshWorldList() {
+    const list = document.getElementById('worldList');
+    if (!list) return;
+
+    listWorlds().then(records => {
+        list.innerHTML = '';
+        if (records.length === 0) {
+            list.innerHTML = '<div class="world-empty">No saved worlds yet</div>';
+            return;
+        }
+        records.forEach(record => list.appendChild(createWorldListItem(record)));
+    }).catch(err => {
+        list.innerHTML = '';
+        showToast(`Could not list worlds: ${err.message}`, 'error');
+    });
+}
+
+// How long a world's Delete button waits for the confirming click
+const WORLD_DELETE_CONFIRM_MS = 3000;
+
+function createWorldListItem(record) {
+    const isAutosave = record.id === AUTOSAVE_ID;
+    const item = document.createElement('div');
+    item.className = 'world-item' + (record.id === STATE.worldId ? ' active' : '');
+
+    const thumb = document.createElement('img');
+    thumb.className = 'world-thumb';
+    thumb.src = record.thumbnail || '';
+    thumb.alt = '';
+    item.appendChild(thumb);
+
+    const info = document.createElement('div');
+    info.className = 'world-info';
+    const name = document.createElement('div');
+    name.className = 'world-name';
+    name.textContent = isAutosave ? `Autosave - ${record.name}` : record.name;
+    const meta = document.createElement('div');
+    meta.className = 'world-meta';
+    meta.textContent = `${record.blockCount} blocks - ${new Date(record.updatedAt).toLocaleString()}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'world-actions';
+    const addAction = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.className = 'tool-btn';
+        btn.textContent = label;
+        btn.onclick = () => handler(btn);
+        actions.appendChild(btn);
+    };
+
+    addAction('Load', () => loadWorld(record.id).then(closeWorldsDialog));
+    if (!isAutosave) {
+        addAction('Rename', () => startRenameWorld(record, name));
+    }
+    addAction('Duplicate', () => duplicateWorld(record.id)
+        .then(refreshWorldList)
+        .catch(err => showToast(`Duplicate failed: ${err.message}`, 'error')));
+    addAction('Delete', btn => {
+        // The first click only arms the button
+        if (!btn.classList.contains('confirm')) {
+            btn.classList.add('confirm');
+            btn.textContent = 'Confirm';
+            setTimeout(() => {
+                btn.classList.remove('confirm');
+                btn.textContent = 'Delete';
+            }, WORLD_DELETE_CONFIRM_MS);
+            return;
+        }
+        removeWorld(record.id)
+            .then(refreshWorldList)
+            .catch(err => showToast(`Delete failed: ${err.message}`, 'error'));
+    });
+    item.appendChild(actions);
+
+    return item;
+}
+
+function startRenameWorld(record, nameEl) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'text-input';
+    input.value = record.name;
+    input.maxLength = 40;
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const commit = () => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (name && name !== record.name) {
+            renameWorld(record.id, name)
+                .catch(err => showToast(`Rename failed: ${err.message}`, 'error'))
+                .then(refreshWorldList);
+        } else {
+            refreshWorldList();
+        }
+    };
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') {
+            done = true;
+            refreshWorldList();
+        }
+    });
+    input.addEventListener('blur', commit);
+}
+
+function saveFromDialog(asNew) {
+    const name = document.getElementById('world-name-input').value.trim() || STATE.worldName;
+    const save = asNew ? saveWorldAs(name) : saveWorld(name);
+    save.then(refreshWorldList);
+}
+
+function selectMaterial(index, playSound = true) {
     STATE.currentMaterial = index;
-    audio.playSelect();
+    if (playSound) audio.playSelect();
 
     // Update UI
-    document.querySelectorAll('.material-btn').forEach((btn, i) => {
-        btn.classList.toggle('active', i === index);
+    ['material-palette', 'mobileMaterialGrid'].forEach(id => {
+        document.querySelectorAll(`#${id} .material-btn`).forEach((btn, i) => {
+            btn.classList.toggle('active', i === index);
+        });
     });
+    const preview = document.querySelector('.mobile-material-preview');
+    if (preview) preview.style.background = MATERIALS[index].color;
 
-    document.getElementById('current-material').textContent = MATERIALS[index].name;
-    document.getElementById('current-material').style.color = MATERIALS[index].color;
+    const label = document.getElementById('current-material');
+    if (label) {
+        label.textContent = MATERIALS[index].name;
+        label.style.color = MATERIALS[index].color;
+    }
 }
 
 function updateBrushDisplay() {
     const el = document.getElementById('brush-size');
     if (el) el.textContent = STATE.brushSize;
+
+    const shapeBtn = document.getElementById('brush-shape-btn');
+    if (shapeBtn) shapeBtn.textContent = BRUSH_SHAPES[STATE.brushShape].name;
+
+    const slider = document.getElementById('mobile-brush-size');
+    if (slider) {
+        slider.max = CONFIG.maxBrushSize;
+        slider.value = STATE.brushSize;
+    }
+    const mobileSize = document.getElementById('mobile-brush-label');
+    if (mobileSize) mobileSize.textContent = `Brush ${STATE.brushSize}`;
+    const mobileShape = document.getElementById('mobile-brush-shape');
+    if (mobileShape) mobileShape.textContent = BRUSH_SHAPES[STATE.brushShape].name;
 }
 
 function updateModeButton() {
+    // Buttons name the mode F switches to next
+    const next = MODE_NAMES[getNextMode()];
     const btn = document.getElementById('mode-btn');
     if (btn) {
-        btn.textContent = STATE.mode === 'orbit' ? 'Fly (F)' : 'Orbit (F)';
+        btn.textContent = `${next} (F)`;
     }
+    const mobileLabel = document.querySelector('#mobile-mode span');
+    if (mobileLabel) mobileLabel.textContent = `${next} Mode`;
+}
+
+function updateSimulationUI() {
+    const playBtn = document.getElementById('sim-play-btn');
+    if (playBtn) {
+        playBtn.textContent = STATE.simRunning ? 'Pause (P)' : 'Play (P)';
+        playBtn.classList.toggle('active', STATE.simRunning);
+    }
+
+    const speedBtn = document.getElementById('sim-speed-btn');
+    if (speedBtn) speedBtn.textContent = `${STATE.simSpeed}x`;
+
+    const mobileLabel = document.querySelector('#mobile-sim span');
+    if (mobileLabel) mobileLabel.textContent = STATE.simRunning ? 'Pause Simulation' : 'Play Simulation';
+}
+
+function updateQualityButton() {
+    const label = `Quality: ${QUALITY_LEVELS[STATE.quality].name}`;
+    const btn = document.getElementById('quality-btn');
+    if (btn) btn.textContent = QUALITY_LEVELS[STATE.quality].name;
+    const mobileLabel = document.querySelector('#mobile-quality span');
+    if (mobileLabel) mobileLabel.textContent = label;
 }
 
 function updateSoundButton(enabled) {
@@ -919,23 +7847,211 @@ function updateSoundButton(enabled) {
     }
 }
 
+// ============================================================================
+// Touch Controls
+// ============================================================================
+
+// Phones get the material picker as a bottom sheet and, in fly and walk
+// modes, an on-screen stick standing in for WASD plus hold-to-rise/sink
+// (or jump) buttons. Canvas gestures are handled in Input Handling.
+const JOYSTICK_DEADZONE = 0.35;     // Share of the stick's reach before a direction counts
+const JOYSTICK_TRAVEL = 36;         // Pixels the knob can move from the center
+
+let joystickPointer = null;
+
+function createMobileMaterialGrid() {
+    const grid = document.getElementById('mobileMaterialGrid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    MATERIALS.forEach((mat, index) => {
+        const btn = document.createElement('button');
+        btn.className = 'material-btn' + (index === STATE.currentMaterial ? ' active' : '');
+        btn.style.background = mat.color;
+        btn.title = mat.name;
+        btn.onclick = () => {
+            selectMaterial(index);
+            document.getElementById('mobileMaterialOverlay').classList.remove('active');
+        };
+
+        const name = document.createElement('span');
+        name.className = 'material-name';
+        name.textContent = mat.name;
+        btn.appendChild(name);
+
+        grid.appendChild(btn);
+    });
+}
+
+function setupTouchControls() {
+    const stick = document.getElementById('touch-joystick');
+    if (!stick) return;
+
+    stick.addEventListener('pointerdown', event => {
+        joystickPointer = event.pointerId;
+        stick.setPointerCapture(event.pointerId);
+        moveJoystick(event);
+    });
+    stick.addEventListener('pointermove', event => {
+        if (event.pointerId === joystickPointer) moveJoystick(event);
+    });
+    const release = event => {
+        if (event.pointerId !== joystickPointer) return;
+        joystickPointer = null;
+        setJoystick(0, 0);
+    };
+    stick.addEventListener('pointerup', release);
+    stick.addEventListener('pointercancel', release);
+
+    // Held like Space and Shift
+    [['touch-up', 'moveUp'], ['touch-down', 'moveDown']].forEach(([id, flag]) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+        button.addEventListener('pointerdown', event => {
+            event.preventDefault();
+            STATE[flag] = true;
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            button.addEventListener(type, () => { STATE[flag] = false; });
+        });
+    });
+}
+
+function moveJoystick(event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (event.clientX - rect.left - radius) / radius;
+    let y = (event.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+        x /= length;
+        y /= length;
+    }
+    setJoystick(x, y);
+}
+
+function setJoystick(x, y) {
+    // The stick holds the same movement flags as the WASD keys
+    STATE.moveForward = y < -JOYSTICK_DEADZONE;
+    STATE.moveBackward = y > JOYSTICK_DEADZONE;
+    STATE.moveLeft = x < -JOYSTICK_DEADZONE;
+    STATE.moveRight = x > JOYSTICK_DEADZONE;
+
+    const knob = document.querySelector('#touch-joystick .joystick-knob');
+    if (knob) {
+        knob.style.transform = `translate(calc(-50% + ${x * JOYSTICK_TRAVEL}px), calc(-50% + ${y * JOYSTICK_TRAVEL}px))`;
+    }
+}
+
+function updateTouchControls() {
+    const controlsEl = document.getElementById('touch-controls');
+    if (!controlsEl) return;
+
+    controlsEl.classList.toggle('active', isFirstPerson());
+    if (!isFirstPerson()) {
+        joystickPointer = null;
+        setJoystick(0, 0);
+        STATE.moveUp = false;
+        STATE.moveDown = false;
+    }
+
+    // Walkers can only jump
+    document.getElementById('touch-up').textContent = STATE.mode === 'walk' ? 'Jump' : 'Up';
+    document.getElementById('touch-down').style.display = STATE.mode === 'walk' ? 'none' : '';
+}
+
+// ============================================================================
+// Service Worker
+// ============================================================================
+
+// sw.js precaches the app for offline use. A new version installs in the
+// background and waits; the app offers it with a toast and only switches
+// (then reloads) when the user accepts, after the autosave is written.
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;   // Long sessions look for updates hourly
+
+let updateRequested = false;    // Set once the user accepts an update
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            // Nothing to update on the very first install
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateToast(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateToast(worker);
+                    }
+                });
+            });
+            setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+        })
+        .catch(err => console.log('Service Worker registration failed:', err));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // Only reload for an update the user accepted, not the first install's claim
+        if (reloading || !updateRequested) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+function showUpdateToast(worker) {
+    showToast('A new version of HexCraft is available', 'info', Infinity, {
+        label: 'Update',
+        onClick: () => {
+            updateRequested = true;
+            const saved = autosaveTimer ? writeAutosave() : Promise.resolve();
+            saved.then(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+        }
+    });
+}
+
 // ============================================================================
 // Main Loop
 // ============================================================================
 
 function animate() {
-    requestAnimationFrame(animate);
-
-    // Update controls
-    if (STATE.mode === 'orbit') {
-        controls.update();
+    if (vr.session) {
+        // The headset moves the camera; controllers aim and build
+        updateVR();
     } else {
-        updateFlyMovement();
+        // Gamepad sticks and buttons
+        updateGamepad();
+
+        // Update controls
+        if (STATE.mode === 'orbit') {
+            controls.update();
+        } else if (STATE.mode === 'walk') {
+            updateWalkMovement();
+        } else {
+            updateFlyMovement();
+        }
     }
 
+    // Advance the block simulation at its own fixed rate
+    updateSimulation();
+
     // Update animations
     updateAnimations();
 
+    // Sun, sky and fog for the time of day
+    updateDayCycle();
+
+    // Water waves, lava glow and the light pool
+    updateMaterialEffects();
+
+    // Corner overview of the world and camera
+    updateMinimap();
+
+    // Share this player's cursor with the room
+    updateCollab();
+
     // Render
     renderer.render(scene, camera);
 }
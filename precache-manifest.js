@@ -0,0 +1,38 @@
+// Generated by scripts/build-precache.js - do not edit by hand
+self.PRECACHE_MANIFEST = {
+    "version": "c6d45bed50f8",
+    "assets": [
+        {
+            "url": "./",
+            "revision": "c1eef4ed036f"
+        },
+        {
+            "url": "./index.html",
+            "revision": "c1eef4ed036f"
+        },
+        {
+            "url": "./styles.css",
+            "revision": "0f536917f81b"
+        },
+        {
+            "url": "./app.js",
+            "revision": "ff2937ef40cd"
+        },
+        {
+            "url": "./manifest.json",
+            "revision": "bbeb13c69e2c"
+        },
+        {
+            "url": "./icons/icon.svg",
+            "revision": "6d1e698e4141"
+        },
+        {
+            "url": "https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js",
+            "revision": null
+        },
+        {
+            "url": "https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js",
+            "revision": null
+        }
+    ]
+};
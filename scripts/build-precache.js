@@ -0,0 +1,56 @@
+/**
+ * HexCraft Precache Manifest Builder
+ * Writes precache-manifest.js, the list of files sw.js stores for offline
+ * use. Run it with `node scripts/build-precache.js` after changing any of
+ * the files below; the new content hashes give the service worker a new
+ * version, which the app offers to users as an update.
+ *
+ * The Three.js scripts are read from index.html's CDN <script> tags. Their
+ * URLs carry the library version, so they need no hash of their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Same-origin files the app needs to start; './' is index.html's URL
+const LOCAL_ASSETS = [
+    { url: './', file: 'index.html' },
+    { url: './index.html', file: 'index.html' },
+    { url: './styles.css', file: 'styles.css' },
+    { url: './app.js', file: 'app.js' },
+    { url: './manifest.json', file: 'manifest.json' },
+    { url: './icons/icon.svg', file: 'icons/icon.svg' }
+];
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function getCdnScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return Array.from(html.matchAll(/<script[^>]+src="(https:\/\/[^"]+)"/g), match => match[1]);
+}
+
+function buildManifest() {
+    const assets = LOCAL_ASSETS.map(({ url, file }) => ({
+        url,
+        revision: hash(fs.readFileSync(path.join(ROOT, file))).slice(0, 12)
+    }));
+    getCdnScripts().forEach(url => assets.push({ url, revision: null }));
+
+    const version = hash(assets.map(asset => `${asset.url} ${asset.revision}`).join('\n')).slice(0, 12);
+    return { version, assets };
+}
+
+const manifest = buildManifest();
+fs.writeFileSync(OUTPUT, [
+    '// Generated by scripts/build-precache.js - do not edit by hand',
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};`,
+    ''
+].join('\n'));
+
+console.log(`Wrote precache-manifest.js: version ${manifest.version}, ${manifest.assets.length} files`);
@@ -0,0 +1,353 @@
+/**
+ * HexCraft 3D - Collaboration Relay
+ * A small dependency-free WebSocket relay for building in the same world
+ * together. Run it with `node server/relay.js` (PORT sets the port, 8787 by
+ * default) and point the Collaborate dialog at ws://<host>:8787.
+ *
+ * Each room lives in memory only: the first player to join seeds it with
+ * their world, later players receive that world plus every cell edited
+ * since. A room is forgotten when its last player leaves.
+ *
+ * Messages are JSON text frames:
+ *   client -> relay  { type: 'join', name, world }
+ *                    { type: 'ops', ops: [[key, materialIndex|null, clock]] }
+ *                    { type: 'cursor', cell: { q, r, y } | null }
+ *   relay -> client  { type: 'welcome', id, color, world, cells, clock, peers }
+ *                    { type: 'ops', from, ops }
+ *                    { type: 'cursor', from, cell }
+ *                    { type: 'peer-join', peer } / { type: 'peer-leave', id }
+ *                    { type: 'error', message }
+ *
+ * Conflicts are last-writer-wins per cell: a write is stamped [clock, id]
+ * with a Lamport clock, and the larger stamp wins everywhere.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;   // Room worlds arrive in one message
+const PING_INTERVAL = 30000;
+const MAX_PEERS_PER_ROOM = 16;
+const MAX_HEIGHT = 20;                         // Matches CONFIG.maxHeight in app.js
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Distinct cursor colors, handed out in order within a room
+const PEER_COLORS = ['#f472b6', '#38bdf8', '#facc15', '#4ade80', '#fb923c', '#a78bfa', '#f87171', '#2dd4bf'];
+
+const rooms = new Map();    // name -> { world, cells, clock, peers }
+let nextPeerId = 1;
+
+// ============================================================================
+// WebSocket framing (RFC 6455, text frames only)
+// ============================================================================
+
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.alive = true;
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        // Upgraded sockets allow half-open connections; close ours when the client goes
+        socket.on('end', () => socket.end());
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_BYTES) {
+                this.close(1009, 'Message too large');
+                return;
+            }
+
+            // Browsers always mask what they send
+            const masked = (second & 0x80) !== 0;
+            if (!masked) {
+                this.close(1002, 'Unmasked frame');
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame((first & 0x80) !== 0, first & 0x0f, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0:   // Continuation
+            case 0x1:   // Text
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    this.close(1009, 'Message too large');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                break;
+            case 0x2:
+                this.close(1003, 'Binary frames are not supported');
+                break;
+            case 0x8:
+                this.close(1000);
+                break;
+            case 0x9:
+                this.sendFrame(0xa, payload);
+                break;
+            case 0xa:
+                this.alive = true;
+                break;
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.sendFrame(0x9, Buffer.alloc(0));
+    }
+
+    close(code, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// ============================================================================
+// Rooms
+// ============================================================================
+
+function isNewerStamp(a, b) {
+    return a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]);
+}
+
+// Keys are canonical "q,r,y" cells inside the world, so "01,2,3" and
+// "1,2,3" can't both be stored for the same cell
+function isValidKey(key) {
+    const match = typeof key === 'string' && /^(-?\d{1,9}),(-?\d{1,9}),(\d{1,9})$/.exec(key);
+    if (!match) return false;
+    const [q, r, y] = match.slice(1).map(Number);
+    return y < MAX_HEIGHT && `${q},${r},${y}` === key;
+}
+
+function isValidOp(op) {
+    return Array.isArray(op) &&
+        isValidKey(op[0]) &&
+        (op[1] === null || Number.isInteger(op[1])) &&
+        Number.isInteger(op[2]) && op[2] >= 0;
+}
+
+function getPeerInfo(peer) {
+    return { id: peer.id, name: peer.name, color: peer.color };
+}
+
+function broadcast(room, message, except = null) {
+    room.peers.forEach(peer => {
+        if (peer !== except) peer.connection.send(message);
+    });
+}
+
+function joinRoom(peer, roomName, message) {
+    let room = rooms.get(roomName);
+    const seeded = !room;
+    if (!room) {
+        if (!message.world || typeof message.world !== 'object') {
+            peer.connection.send({ type: 'error', message: 'A world is needed to start a room' });
+            peer.connection.close(1008);
+            return;
+        }
+        // The first player's world becomes the room's world
+        room = { world: message.world, cells: new Map(), clock: 0, peers: new Map() };
+        rooms.set(roomName, room);
+    } else if (room.peers.size >= MAX_PEERS_PER_ROOM) {
+        peer.connection.send({ type: 'error', message: `Room is full (${MAX_PEERS_PER_ROOM} players)` });
+        peer.connection.close(1008);
+        return;
+    }
+
+    const usedColors = new Set(Array.from(room.peers.values(), other => other.color));
+    peer.color = PEER_COLORS.find(color => !usedColors.has(color)) ||
+        PEER_COLORS[peer.id % PEER_COLORS.length];
+    peer.name = String(message.name || '').trim().slice(0, 24) || `Player ${peer.id}`;
+    peer.room = room;
+
+    peer.connection.send({
+        type: 'welcome',
+        id: peer.id,
+        color: peer.color,
+        // null tells the seeding player to keep the world it already has
+        world: seeded ? null : room.world,
+        cells: Array.from(room.cells, ([key, cell]) => [key, cell.materialIndex, cell.stamp[0], cell.stamp[1]]),
+        clock: room.clock,
+        peers: Array.from(room.peers.values(), getPeerInfo)
+    });
+
+    room.peers.set(peer.id, peer);
+    broadcast(room, { type: 'peer-join', peer: getPeerInfo(peer) }, peer);
+    console.log(`${peer.name} joined "${roomName}" (${room.peers.size} in room)`);
+}
+
+function applyOps(peer, ops) {
+    const room = peer.room;
+    const accepted = ops.filter(isValidOp);
+    accepted.forEach(([key, materialIndex, clock]) => {
+        const stamp = [clock, peer.id];
+        const cell = room.cells.get(key);
+        if (!cell || isNewerStamp(stamp, cell.stamp)) {
+            room.cells.set(key, { materialIndex, stamp });
+        }
+        room.clock = Math.max(room.clock, clock);
+    });
+    // Everyone resolves conflicts the same way, so relay even the losers
+    if (accepted.length > 0) broadcast(room, { type: 'ops', from: peer.id, ops: accepted }, peer);
+}
+
+function leaveRoom(peer, roomName) {
+    const room = peer.room;
+    if (!room) return;
+
+    room.peers.delete(peer.id);
+    peer.room = null;
+    if (room.peers.size === 0) {
+        rooms.delete(roomName);
+    } else {
+        broadcast(room, { type: 'peer-leave', id: peer.id });
+    }
+    console.log(`${peer.name} left "${roomName}"`);
+}
+
+function onConnection(socket, roomName) {
+    const peer = { id: nextPeerId++, name: '', color: '', room: null, connection: null };
+
+    peer.connection = new Connection(socket, text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        if (message.type === 'join') {
+            if (!peer.room) joinRoom(peer, roomName, message);
+        } else if (!peer.room) {
+            // Nothing else makes sense before joining
+        } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+            applyOps(peer, message.ops);
+        } else if (message.type === 'cursor') {
+            const cell = message.cell;
+            const valid = cell && [cell.q, cell.r, cell.y].every(Number.isInteger);
+            broadcast(peer.room, { type: 'cursor', from: peer.id, cell: valid ? { q: cell.q, r: cell.r, y: cell.y } : null }, peer);
+        }
+    }, () => leaveRoom(peer, roomName));
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`HexCraft relay: ${rooms.size} room(s) open\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const roomName = (url.searchParams.get('room') || '').trim().slice(0, 64);
+    if (!roomName) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    onConnection(socket, roomName);
+});
+
+// Drop connections that stop answering pings
+const connections = () => Array.from(rooms.values()).flatMap(room => Array.from(room.peers.values()));
+setInterval(() => connections().forEach(peer => peer.connection.ping()), PING_INTERVAL).unref();
+
+server.listen(PORT, () => {
+    console.log(`HexCraft relay listening on ws://localhost:${PORT}`);
+});
@@ -1,35 +1,34 @@
 /**
  * HexCraft Service Worker
  * Provides offline functionality and caching for the PWA
+ *
+ * precache-manifest.js lists every file the app needs, including the
+ * Three.js scripts from the CDN, and its version names the cache. Rebuild
+ * it with `node scripts/build-precache.js` after changing those files.
  */
 
-const CACHE_NAME = 'hexcraft-v4-mobile-btns';
-const ASSETS_TO_CACHE = [
-    './',
-    './index.html',
-    './styles.css',
-    './app.js',
-    './manifest.json',
-    './icons/icon.svg'
-];
+importScripts('./precache-manifest.js');
 
-// Force update on version change
-const FORCE_UPDATE = true;
+const CACHE_NAME = `hexcraft-${self.PRECACHE_MANIFEST.version}`;
+const PRECACHE_URLS = new Set(
+    self.PRECACHE_MANIFEST.assets.map((asset) => new URL(asset.url, self.location).href)
+);
 
 // Install event - cache assets
 self.addEventListener('install', (event) => {
+    // A new version waits until the app asks it to take over (SKIP_WAITING),
+    // so an open tab never runs half old, half new files
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('Caching app assets');
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-            .then(() => {
-                // Activate immediately
-                self.skipWaiting();
+                // Skip the HTTP cache so a new version never stores old files
+                return cache.addAll(Array.from(PRECACHE_URLS, (url) => new Request(url, { cache: 'reload' })));
             })
             .catch((error) => {
+                // Fail the install; a partial cache would break offline starts
                 console.error('Failed to cache assets:', error);
+                throw error;
             })
     );
 });
@@ -62,13 +61,18 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Skip cross-origin requests
-    if (!event.request.url.startsWith(self.location.origin)) {
+    // Skip cross-origin requests other than the precached CDN scripts
+    const sameOrigin = event.request.url.startsWith(self.location.origin);
+    if (!sameOrigin && !PRECACHE_URLS.has(event.request.url)) {
         return;
     }
 
+    // Pages opened with ?action=new or an invite's ?room= are still index.html
+    const navigate = event.request.mode === 'navigate';
+
     event.respondWith(
-        caches.match(event.request)
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.match(event.request, { ignoreSearch: navigate }))
             .then((cachedResponse) => {
                 if (cachedResponse) {
                     // Return cached response
@@ -79,7 +83,7 @@ self.addEventListener('fetch', (event) => {
                 return fetch(event.request)
                     .then((networkResponse) => {
                         // Don't cache non-successful responses
-                        if (!networkResponse || networkResponse.status !== 200) {
+                        if (!networkResponse || networkResponse.status !== 200 || !sameOrigin) {
                             return networkResponse;
                         }
 
@@ -96,7 +100,7 @@ self.addEventListener('fetch', (event) => {
                     })
                     .catch(() => {
                         // Return offline fallback for navigation requests
-                        if (event.request.mode === 'navigate') {
+                        if (navigate) {
                             return caches.match('./index.html');
                         }
 
@@ -0,0 +1,278 @@
+/**
+ * HexCraft Mock XR Runtime
+ * A stand-in headset for trying VR mode without one. app.js loads it when
+ * the page is opened with ?xr=mock; it replaces navigator.xr with just
+ * enough of WebXR for three.js to run an immersive-vr session, drawn into
+ * the normal canvas as a single view.
+ *
+ *   Arrow keys       turn and tilt the head
+ *   Mouse            aims the right hand (building)
+ *   Shift + mouse    aims the left hand (palette and teleport) instead
+ *   Left button      trigger of the aimed hand
+ *   Right button     grip of the aimed hand
+ *   Esc              ends the session (handled by the app)
+ *
+ * The hand that isn't aimed rests in front of the player. Real headsets
+ * and the WebXR emulator extension need nothing from this file.
+ */
+
+(function () {
+    'use strict';
+
+    const EYE_HEIGHT = 1.6;             // Meters above the floor
+    const FIELD_OF_VIEW = 70;           // Vertical, in degrees
+    const TURN_STEP = Math.PI / 36;     // Per arrow key press
+    const AIM_DISTANCE = 10;            // Meters; hands aim at the point this far along the view ray
+    const HAND_OFFSETS = {              // Hands relative to the head, in meters
+        right: [0.2, -0.35, -0.3],
+        left: [-0.2, -0.3, -0.35]
+    };
+    const RESTING_AIM = {               // Where a hand points when not aimed, in view coordinates
+        right: [0.3, -0.6],
+        left: [-0.2, -0.1]
+    };
+
+    const head = { yaw: 0, pitch: 0 };
+    const pointer = { x: 0, y: 0, hand: 'right', pressed: {} };   // pressed: mouse button -> hand
+    let session = null;
+
+    // ------------------------------------------------------------------------
+    // Poses
+    // ------------------------------------------------------------------------
+
+    function getHeadMatrix() {
+        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(head.pitch, head.yaw, 0, 'YXZ'));
+        return new THREE.Matrix4().compose(new THREE.Vector3(0, EYE_HEIGHT, 0), rotation, new THREE.Vector3(1, 1, 1));
+    }
+
+    function getProjectionMatrix() {
+        const layer = session.renderState.baseLayer;
+        const aspect = layer.framebufferWidth / Math.max(1, layer.framebufferHeight);
+        const camera = new THREE.PerspectiveCamera(FIELD_OF_VIEW, aspect,
+            session.renderState.depthNear, session.renderState.depthFar);
+        return camera.projectionMatrix;
+    }
+
+    // Grips (what the hand holds) stay at a fixed offset from the head,
+    // facing the way the head does
+    function getGripMatrix(hand) {
+        const headMatrix = getHeadMatrix();
+        const origin = new THREE.Vector3().fromArray(HAND_OFFSETS[hand]).applyMatrix4(headMatrix);
+        const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, head.yaw, 0));
+        return new THREE.Matrix4().compose(origin, rotation, new THREE.Vector3(1, 1, 1));
+    }
+
+    // The aimed hand's ray starts at the eye, so it hits exactly what is
+    // under the mouse; the other points from its grip toward a resting spot
+    function getRayMatrix(hand) {
+        const headMatrix = getHeadMatrix();
+        const eye = new THREE.Vector3().setFromMatrixPosition(headMatrix);
+        const aimed = pointer.hand === hand;
+        const origin = aimed ? eye.clone() : new THREE.Vector3().setFromMatrixPosition(getGripMatrix(hand));
+        const [x, y] = aimed ? [pointer.x, pointer.y] : RESTING_AIM[hand];
+
+        const direction = new THREE.Vector3(x, y, 0.5)
+            .applyMatrix4(getProjectionMatrix().clone().invert())
+            .applyMatrix4(headMatrix)
+            .sub(eye)
+            .normalize();
+        const target = eye.addScaledVector(direction, AIM_DISTANCE);
+
+        // lookAt() points +z away from the target, like a camera looking down -z
+        const matrix = new THREE.Matrix4().lookAt(origin, target, new THREE.Vector3(0, 1, 0));
+        return matrix.setPosition(origin);
+    }
+
+    // ------------------------------------------------------------------------
+    // WebXR objects
+    // ------------------------------------------------------------------------
+
+    class MockXRInputSource {
+        constructor(handedness) {
+            this.handedness = handedness;
+            this.targetRayMode = 'tracked-pointer';
+            this.targetRaySpace = { hand: handedness, grip: false };
+            this.gripSpace = { hand: handedness, grip: true };
+            this.profiles = ['generic-trigger-squeeze'];
+            this.gamepad = null;
+        }
+    }
+
+    class MockXRWebGLLayer {
+        constructor(xrSession, gl) {
+            this.gl = gl;
+            this.framebuffer = null;    // The canvas itself
+        }
+
+        get framebufferWidth() {
+            return this.gl.drawingBufferWidth;
+        }
+
+        get framebufferHeight() {
+            return this.gl.drawingBufferHeight;
+        }
+
+        getViewport() {
+            return { x: 0, y: 0, width: this.framebufferWidth, height: this.framebufferHeight };
+        }
+    }
+
+    class MockXRFrame {
+        constructor(xrSession) {
+            this.session = xrSession;
+        }
+
+        getViewerPose() {
+            const transform = { matrix: getHeadMatrix().elements };
+            return {
+                transform,
+                views: [{ eye: 'none', projectionMatrix: getProjectionMatrix().elements, transform }]
+            };
+        }
+
+        getPose(space) {
+            const matrix = space.grip ? getGripMatrix(space.hand) : getRayMatrix(space.hand);
+            return { transform: { matrix: matrix.elements } };
+        }
+    }
+
+    class MockXRSession extends EventTarget {
+        constructor() {
+            super();
+            this.renderState = { baseLayer: null, depthNear: 0.1, depthFar: 1000 };
+            this.inputSources = [new MockXRInputSource('right'), new MockXRInputSource('left')];
+            this.visibilityState = 'visible';
+            this.ended = false;
+        }
+
+        updateRenderState(state) {
+            Object.assign(this.renderState, state);
+        }
+
+        requestReferenceSpace(type) {
+            return Promise.resolve({ type });
+        }
+
+        requestAnimationFrame(callback) {
+            return window.requestAnimationFrame(time => {
+                if (!this.ended) callback(time, new MockXRFrame(this));
+            });
+        }
+
+        cancelAnimationFrame(handle) {
+            window.cancelAnimationFrame(handle);
+        }
+
+        end() {
+            if (!this.ended) {
+                this.ended = true;
+                detachInput();
+                session = null;
+                this.dispatchEvent(new Event('end'));
+            }
+            return Promise.resolve();
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Desktop input
+    // ------------------------------------------------------------------------
+
+    const BUTTON_EVENTS = { 0: 'select', 2: 'squeeze' };
+
+    function dispatchInput(type, hand) {
+        const inputSource = session.inputSources.find(source => source.handedness === hand);
+        session.dispatchEvent(Object.assign(new Event(type), { inputSource }));
+    }
+
+    function onMouseMove(event) {
+        const rect = document.querySelector('#canvas-container canvas').getBoundingClientRect();
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        pointer.hand = event.shiftKey ? 'left' : 'right';
+    }
+
+    function onMouseDown(event) {
+        const type = BUTTON_EVENTS[event.button];
+        if (!type || event.target.tagName !== 'CANVAS') return;
+        pointer.hand = event.shiftKey ? 'left' : 'right';
+        pointer.pressed[event.button] = pointer.hand;
+        dispatchInput(`${type}start`, pointer.hand);
+    }
+
+    function onMouseUp(event) {
+        const type = BUTTON_EVENTS[event.button];
+        const hand = pointer.pressed[event.button];
+        if (!type || !hand) return;
+        delete pointer.pressed[event.button];
+        dispatchInput(`${type}end`, hand);
+        dispatchInput(type, hand);
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Shift') pointer.hand = 'left';
+        if (event.code === 'ArrowLeft') head.yaw += TURN_STEP;
+        if (event.code === 'ArrowRight') head.yaw -= TURN_STEP;
+        if (event.code === 'ArrowUp') head.pitch = Math.min(Math.PI / 2 - 0.1, head.pitch + TURN_STEP);
+        if (event.code === 'ArrowDown') head.pitch = Math.max(-Math.PI / 2 + 0.1, head.pitch - TURN_STEP);
+    }
+
+    function onKeyUp(event) {
+        if (event.key === 'Shift') pointer.hand = 'right';
+    }
+
+    function attachInput() {
+        window.addEventListener('mousemove', onMouseMove);
+        window.addEventListener('mousedown', onMouseDown);
+        window.addEventListener('mouseup', onMouseUp);
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+    }
+
+    function detachInput() {
+        window.removeEventListener('mousemove', onMouseMove);
+        window.removeEventListener('mousedown', onMouseDown);
+        window.removeEventListener('mouseup', onMouseUp);
+        window.removeEventListener('keydown', onKeyDown);
+        window.removeEventListener('keyup', onKeyUp);
+    }
+
+    // ------------------------------------------------------------------------
+    // navigator.xr
+    // ------------------------------------------------------------------------
+
+    // There is no device to make the context compatible with
+    [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach(Context => {
+        if (Context) Context.prototype.makeXRCompatible = () => Promise.resolve();
+    });
+    window.XRWebGLLayer = MockXRWebGLLayer;
+
+    Object.defineProperty(navigator, 'xr', {
+        configurable: true,
+        value: {
+            isSessionSupported(mode) {
+                return Promise.resolve(mode === 'immersive-vr');
+            },
+            requestSession(mode) {
+                if (mode !== 'immersive-vr' || session) {
+                    return Promise.reject(new Error(`Mock XR can't start a ${mode} session now`));
+                }
+                session = new MockXRSession();
+                head.yaw = 0;
+                head.pitch = 0;
+                attachInput();
+                // Controllers connect once three.js is listening
+                setTimeout(() => {
+                    if (!session) return;
+                    session.dispatchEvent(Object.assign(new Event('inputsourceschange'), {
+                        added: session.inputSources,
+                        removed: []
+                    }));
+                }, 0);
+                return Promise.resolve(session);
+            }
+        }
+    });
+
+    console.log('Mock XR runtime installed: arrows turn, mouse aims, Shift switches hands');
+})();